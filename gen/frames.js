@@ -3,34 +3,40 @@
 
 export const FRAMES = {
   1: [
-    "PD94bWwgdmVyc2lvbj0nMS4wJyBlbmNvZGluZz0nVVRGLTgnPz48c3ZnIHhtbG5zPSdodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2Zycgd2lkdGg9JzQ4MCcgaGVpZ2h0PSc5Nic+PHJlY3Qgd2lkdGg9JzEwMCUnIGhlaWdodD0nMTAwJScgZmlsbD0nIzIxMjgzMCcvPjxtZXRhZGF0YT5mcmFtZTE8L21ldGFkYXRhPjx0ZXh0IGZvbnQtZmFtaWx5PSdDb25zb2xhcywgRGVqYVZ1IFNhbnMgTW9ubywgQ291cmllciBOZXcsIG1vbm9zcGFjZScgZm9udC1zaXplPScxNCcgZmlsbD0nd2hpdGUnIHhtbDpzcGFjZT0ncHJlc2VydmUnIHk9JzAnPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gIDwvdHNwYW4+PHRzcGFuIHg9JzEwJyBkeT0nMTYnPiAgXCAgICAvXDwvdHNwYW4+PHRzcGFuIHg9JzEwJyBkeT0nMTYnPiAgICkgICggJyk8L3RzcGFuPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gICggIC8gICk8L3RzcGFuPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gICBcKF9fKXwgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICBvPC90c3Bhbj48dHNwYW4geD0nMTAnIGR5PScxNic+ICA8L3RzcGFuPjwvdGV4dD48L3N2Zz4=",
-    "PD94bWwgdmVyc2lvbj0nMS4wJyBlbmNvZGluZz0nVVRGLTgnPz48c3ZnIHhtbG5zPSdodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2Zycgd2lkdGg9JzQ4MCcgaGVpZ2h0PSc5Nic+PHJlY3Qgd2lkdGg9JzEwMCUnIGhlaWdodD0nMTAwJScgZmlsbD0nIzIxMjgzMCcvPjxtZXRhZGF0YT5mcmFtZTI8L21ldGFkYXRhPjx0ZXh0IGZvbnQtZmFtaWx5PSdDb25zb2xhcywgRGVqYVZ1IFNhbnMgTW9ubywgQ291cmllciBOZXcsIG1vbm9zcGFjZScgZm9udC1zaXplPScxNCcgZmlsbD0nd2hpdGUnIHhtbDpzcGFjZT0ncHJlc2VydmUnIHk9JzAnPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gIDwvdHNwYW4+PHRzcGFuIHg9JzEwJyBkeT0nMTYnPiAgXCAgICAvXDwvdHNwYW4+PHRzcGFuIHg9JzEwJyBkeT0nMTYnPiAgICkgICggJyk8L3RzcGFuPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gICggIC8gICk8L3RzcGFuPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gICBcKF9fKXwgICAgICAgICAgICAgICAgICAgICAgICAgICAgICBvPC90c3Bhbj48dHNwYW4geD0nMTAnIGR5PScxNic+ICA8L3RzcGFuPjwvdGV4dD48L3N2Zz4=",
-    "PD94bWwgdmVyc2lvbj0nMS4wJyBlbmNvZGluZz0nVVRGLTgnPz48c3ZnIHhtbG5zPSdodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2Zycgd2lkdGg9JzQ4MCcgaGVpZ2h0PSc5Nic+PHJlY3Qgd2lkdGg9JzEwMCUnIGhlaWdodD0nMTAwJScgZmlsbD0nIzIxMjgzMCcvPjxtZXRhZGF0YT5mcmFtZTM8L21ldGFkYXRhPjx0ZXh0IGZvbnQtZmFtaWx5PSdDb25zb2xhcywgRGVqYVZ1IFNhbnMgTW9ubywgQ291cmllciBOZXcsIG1vbm9zcGFjZScgZm9udC1zaXplPScxNCcgZmlsbD0nd2hpdGUnIHhtbDpzcGFjZT0ncHJlc2VydmUnIHk9JzAnPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gIDwvdHNwYW4+PHRzcGFuIHg9JzEwJyBkeT0nMTYnPiAgICAgICAgICAgIFwgICAgL1w8L3RzcGFuPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gICAgICAgICAgICAgKSAgKCAnKTwvdHNwYW4+PHRzcGFuIHg9JzEwJyBkeT0nMTYnPiAgICAgICAgICAgICggIC8gICk8L3RzcGFuPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gICAgICAgICAgICAgXChfXyl8ICAgICAgICBvPC90c3Bhbj48dHNwYW4geD0nMTAnIGR5PScxNic+ICA8L3RzcGFuPjwvdGV4dD48L3N2Zz4=",
-    "PD94bWwgdmVyc2lvbj0nMS4wJyBlbmNvZGluZz0nVVRGLTgnPz48c3ZnIHhtbG5zPSdodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2Zycgd2lkdGg9JzQ4MCcgaGVpZ2h0PSc5Nic+PHJlY3Qgd2lkdGg9JzEwMCUnIGhlaWdodD0nMTAwJScgZmlsbD0nIzIxMjgzMCcvPjxtZXRhZGF0YT5mcmFtZTQ8L21ldGFkYXRhPjx0ZXh0IGZvbnQtZmFtaWx5PSdDb25zb2xhcywgRGVqYVZ1IFNhbnMgTW9ubywgQ291cmllciBOZXcsIG1vbm9zcGFjZScgZm9udC1zaXplPScxNCcgZmlsbD0nd2hpdGUnIHhtbDpzcGFjZT0ncHJlc2VydmUnIHk9JzAnPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gIDwvdHNwYW4+PHRzcGFuIHg9JzEwJyBkeT0nMTYnPiAgICAgICAgICAgICBcICAgIC9cPC90c3Bhbj48dHNwYW4geD0nMTAnIGR5PScxNic+ICAgICAgICAgICAgICApICAoICcpPC90c3Bhbj48dHNwYW4geD0nMTAnIGR5PScxNic+ICAgICAgICAgICAgICggIC8gICk8L3RzcGFuPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gICAgICAgICAgICAgIFwoX18pfCAgbzwvdHNwYW4+PHRzcGFuIHg9JzEwJyBkeT0nMTYnPiAgPC90c3Bhbj48L3RleHQ+PC9zdmc+",
-    "PD94bWwgdmVyc2lvbj0nMS4wJyBlbmNvZGluZz0nVVRGLTgnPz48c3ZnIHhtbG5zPSdodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2Zycgd2lkdGg9JzQ4MCcgaGVpZ2h0PSc5Nic+PHJlY3Qgd2lkdGg9JzEwMCUnIGhlaWdodD0nMTAwJScgZmlsbD0nIzIxMjgzMCcvPjxtZXRhZGF0YT5mcmFtZTU8L21ldGFkYXRhPjx0ZXh0IGZvbnQtZmFtaWx5PSdDb25zb2xhcywgRGVqYVZ1IFNhbnMgTW9ubywgQ291cmllciBOZXcsIG1vbm9zcGFjZScgZm9udC1zaXplPScxNCcgZmlsbD0nd2hpdGUnIHhtbDpzcGFjZT0ncHJlc2VydmUnIHk9JzAnPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gIDwvdHNwYW4+PHRzcGFuIHg9JzEwJyBkeT0nMTYnPiAgICAgICAgICAgICAgXCAgICAvXDwvdHNwYW4+PHRzcGFuIHg9JzEwJyBkeT0nMTYnPiAgICAgICAgICAgICAgICkgICggJyk8L3RzcGFuPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gICAgICAgICAgICAgICggIC8gICk8L3RzcGFuPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gICAgICAgICAgICAgICBcKF9fKSBcbzwvdHNwYW4+PHRzcGFuIHg9JzEwJyBkeT0nMTYnPiAgPC90c3Bhbj48L3RleHQ+PC9zdmc+",
-    "PD94bWwgdmVyc2lvbj0nMS4wJyBlbmNvZGluZz0nVVRGLTgnPz48c3ZnIHhtbG5zPSdodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2Zycgd2lkdGg9JzQ4MCcgaGVpZ2h0PSc5Nic+PHJlY3Qgd2lkdGg9JzEwMCUnIGhlaWdodD0nMTAwJScgZmlsbD0nIzIxMjgzMCcvPjxtZXRhZGF0YT5mcmFtZTY8L21ldGFkYXRhPjx0ZXh0IGZvbnQtZmFtaWx5PSdDb25zb2xhcywgRGVqYVZ1IFNhbnMgTW9ubywgQ291cmllciBOZXcsIG1vbm9zcGFjZScgZm9udC1zaXplPScxNCcgZmlsbD0nd2hpdGUnIHhtbDpzcGFjZT0ncHJlc2VydmUnIHk9JzAnPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gIDwvdHNwYW4+PHRzcGFuIHg9JzEwJyBkeT0nMTYnPiAgICAgICAgICAgICAgXCAgICAvXDwvdHNwYW4+PHRzcGFuIHg9JzEwJyBkeT0nMTYnPiAgICAgICAgICAgICAgICkgICggJyk8L3RzcGFuPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gICAgICAgICAgICAgICggIC8gICk8L3RzcGFuPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gICAgICAgICAgICAgICBcKF9fKSBcICBvPC90c3Bhbj48dHNwYW4geD0nMTAnIGR5PScxNic+ICA8L3RzcGFuPjwvdGV4dD48L3N2Zz4=",
-    "PD94bWwgdmVyc2lvbj0nMS4wJyBlbmNvZGluZz0nVVRGLTgnPz48c3ZnIHhtbG5zPSdodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2Zycgd2lkdGg9JzQ4MCcgaGVpZ2h0PSc5Nic+PHJlY3Qgd2lkdGg9JzEwMCUnIGhlaWdodD0nMTAwJScgZmlsbD0nIzIxMjgzMCcvPjxtZXRhZGF0YT5mcmFtZTc8L21ldGFkYXRhPjx0ZXh0IGZvbnQtZmFtaWx5PSdDb25zb2xhcywgRGVqYVZ1IFNhbnMgTW9ubywgQ291cmllciBOZXcsIG1vbm9zcGFjZScgZm9udC1zaXplPScxNCcgZmlsbD0nd2hpdGUnIHhtbDpzcGFjZT0ncHJlc2VydmUnIHk9JzAnPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gIDwvdHNwYW4+PHRzcGFuIHg9JzEwJyBkeT0nMTYnPiAgICAgICAgICAgICAgXCAgICAvXDwvdHNwYW4+PHRzcGFuIHg9JzEwJyBkeT0nMTYnPiAgICAgICAgICAgICAgICkgICggJyk8L3RzcGFuPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gICAgICAgICAgICAgICggIC8gICk8L3RzcGFuPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gICAgICAgICAgICAgICBcKF9fKSBcICAgICAgICAgICAgICAgbzwvdHNwYW4+PHRzcGFuIHg9JzEwJyBkeT0nMTYnPiAgPC90c3Bhbj48L3RleHQ+PC9zdmc+",
-    "PD94bWwgdmVyc2lvbj0nMS4wJyBlbmNvZGluZz0nVVRGLTgnPz48c3ZnIHhtbG5zPSdodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2Zycgd2lkdGg9JzQ4MCcgaGVpZ2h0PSc5Nic+PHJlY3Qgd2lkdGg9JzEwMCUnIGhlaWdodD0nMTAwJScgZmlsbD0nIzIxMjgzMCcvPjxtZXRhZGF0YT5mcmFtZTg8L21ldGFkYXRhPjx0ZXh0IGZvbnQtZmFtaWx5PSdDb25zb2xhcywgRGVqYVZ1IFNhbnMgTW9ubywgQ291cmllciBOZXcsIG1vbm9zcGFjZScgZm9udC1zaXplPScxNCcgZmlsbD0nd2hpdGUnIHhtbDpzcGFjZT0ncHJlc2VydmUnIHk9JzAnPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gIDwvdHNwYW4+PHRzcGFuIHg9JzEwJyBkeT0nMTYnPiAgICAgICAgICAgICAgXCAgICAvXDwvdHNwYW4+PHRzcGFuIHg9JzEwJyBkeT0nMTYnPiAgICAgICAgICAgICAgICkgICggJyk8L3RzcGFuPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gICAgICAgICAgICAgICggIC8gICk8L3RzcGFuPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gICAgICAgICAgICAgICBcKF9fKXwgICAgICAgICAgICAgICAgICAgICAgICAgICAgICBvPC90c3Bhbj48dHNwYW4geD0nMTAnIGR5PScxNic+ICA8L3RzcGFuPjwvdGV4dD48L3N2Zz4=",
+    { name: "frame1", text: "ICAKICBcICAgIC9cCiAgICkgICggJykKICAoICAvICApCiAgIFwoX18pfCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIG8KICA=" },
+    { name: "frame2", text: "ICAKICBcICAgIC9cCiAgICkgICggJykKICAoICAvICApCiAgIFwoX18pfCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIG8KICA=" },
+    { name: "frame3", text: "ICAKICAgICAgICAgICAgXCAgICAvXAogICAgICAgICAgICAgKSAgKCAnKQogICAgICAgICAgICAoICAvICApCiAgICAgICAgICAgICBcKF9fKXwgICAgICAgIG8KICA=" },
+    { name: "frame4", text: "ICAKICAgICAgICAgICAgIFwgICAgL1wKICAgICAgICAgICAgICApICAoICcpCiAgICAgICAgICAgICAoICAvICApCiAgICAgICAgICAgICAgXChfXyl8ICBvCiAg" },
+    { name: "frame5", text: "ICAKICAgICAgICAgICAgICBcICAgIC9cCiAgICAgICAgICAgICAgICkgICggJykKICAgICAgICAgICAgICAoICAvICApCiAgICAgICAgICAgICAgIFwoX18pIFxvCiAg" },
+    { name: "frame6", text: "ICAKICAgICAgICAgICAgICBcICAgIC9cCiAgICAgICAgICAgICAgICkgICggJykKICAgICAgICAgICAgICAoICAvICApCiAgICAgICAgICAgICAgIFwoX18pIFwgIG8KICA=" },
+    { name: "frame7", text: "ICAKICAgICAgICAgICAgICBcICAgIC9cCiAgICAgICAgICAgICAgICkgICggJykKICAgICAgICAgICAgICAoICAvICApCiAgICAgICAgICAgICAgIFwoX18pIFwgICAgICAgICAgICAgICBvCiAg" },
+    { name: "frame8", text: "ICAKICAgICAgICAgICAgICBcICAgIC9cCiAgICAgICAgICAgICAgICkgICggJykKICAgICAgICAgICAgICAoICAvICApCiAgICAgICAgICAgICAgIFwoX18pfCAgICAgICAgICAgICAgICAgICAgICAgICAgICAgIG8KICA=" },
   ],
   2: [
-    "PD94bWwgdmVyc2lvbj0nMS4wJyBlbmNvZGluZz0nVVRGLTgnPz48c3ZnIHhtbG5zPSdodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2Zycgd2lkdGg9JzQ4MCcgaGVpZ2h0PSc5Nic+PHJlY3Qgd2lkdGg9JzEwMCUnIGhlaWdodD0nMTAwJScgZmlsbD0nIzIxMjgzMCcvPjxtZXRhZGF0YT5mcmFtZTE8L21ldGFkYXRhPjx0ZXh0IGZvbnQtZmFtaWx5PSdDb25zb2xhcywgRGVqYVZ1IFNhbnMgTW9ubywgQ291cmllciBOZXcsIG1vbm9zcGFjZScgZm9udC1zaXplPScxNCcgZmlsbD0nd2hpdGUnIHhtbDpzcGFjZT0ncHJlc2VydmUnIHk9JzAnPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gIDwvdHNwYW4+PHRzcGFuIHg9JzEwJyBkeT0nMTYnPiAgICAgICAgICAgICBcICAgIC9cPC90c3Bhbj48dHNwYW4geD0nMTAnIGR5PScxNic+ICAgICAgICAgICAgICApICAoICcpPC90c3Bhbj48dHNwYW4geD0nMTAnIGR5PScxNic+ICAgICAgICAgICAgICggIC8gICkgICAgICAgICAgICAgICAgICAgICAg4paMIOKWjDwvdHNwYW4+PHRzcGFuIHg9JzEwJyBkeT0nMTYnPiAgICAgICAgICAgICAgXChfXyl8byAgICAgICAgICAgICDil6IgICAgICAg4paUPC90c3Bhbj48dHNwYW4geD0nMTAnIGR5PScxNic+ICA8L3RzcGFuPjwvdGV4dD48L3N2Zz4=",
-    "PD94bWwgdmVyc2lvbj0nMS4wJyBlbmNvZGluZz0nVVRGLTgnPz48c3ZnIHhtbG5zPSdodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2Zycgd2lkdGg9JzQ4MCcgaGVpZ2h0PSc5Nic+PHJlY3Qgd2lkdGg9JzEwMCUnIGhlaWdodD0nMTAwJScgZmlsbD0nIzIxMjgzMCcvPjxtZXRhZGF0YT5mcmFtZTI8L21ldGFkYXRhPjx0ZXh0IGZvbnQtZmFtaWx5PSdDb25zb2xhcywgRGVqYVZ1IFNhbnMgTW9ubywgQ291cmllciBOZXcsIG1vbm9zcGFjZScgZm9udC1zaXplPScxNCcgZmlsbD0nd2hpdGUnIHhtbDpzcGFjZT0ncHJlc2VydmUnIHk9JzAnPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gIDwvdHNwYW4+PHRzcGFuIHg9JzEwJyBkeT0nMTYnPiAgICAgICAgICAgICBcICAgIC9cPC90c3Bhbj48dHNwYW4geD0nMTAnIGR5PScxNic+ICAgICAgICAgICAgICApICAoICcpPC90c3Bhbj48dHNwYW4geD0nMTAnIGR5PScxNic+ICAgICAgICAgICAgICggIC8gICkgICAgICAgICAgICAgICAgICAgICAg4paMIOKWjDwvdHNwYW4+PHRzcGFuIHg9JzEwJyBkeT0nMTYnPiAgICAgICAgICAgICAgXChfXykgXG8gICAgICAgICAgICDil6IgICAgICAg4paUPC90c3Bhbj48dHNwYW4geD0nMTAnIGR5PScxNic+ICA8L3RzcGFuPjwvdGV4dD48L3N2Zz4=",
-    "PD94bWwgdmVyc2lvbj0nMS4wJyBlbmNvZGluZz0nVVRGLTgnPz48c3ZnIHhtbG5zPSdodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2Zycgd2lkdGg9JzQ4MCcgaGVpZ2h0PSc5Nic+PHJlY3Qgd2lkdGg9JzEwMCUnIGhlaWdodD0nMTAwJScgZmlsbD0nIzIxMjgzMCcvPjxtZXRhZGF0YT5mcmFtZTM8L21ldGFkYXRhPjx0ZXh0IGZvbnQtZmFtaWx5PSdDb25zb2xhcywgRGVqYVZ1IFNhbnMgTW9ubywgQ291cmllciBOZXcsIG1vbm9zcGFjZScgZm9udC1zaXplPScxNCcgZmlsbD0nd2hpdGUnIHhtbDpzcGFjZT0ncHJlc2VydmUnIHk9JzAnPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gIDwvdHNwYW4+PHRzcGFuIHg9JzEwJyBkeT0nMTYnPiAgICAgICAgICAgICBcICAgIC9cPC90c3Bhbj48dHNwYW4geD0nMTAnIGR5PScxNic+ICAgICAgICAgICAgICApICAoICcpPC90c3Bhbj48dHNwYW4geD0nMTAnIGR5PScxNic+ICAgICAgICAgICAgICggIC8gICkgICAgICAgICAgICAgICAgICAgICAg4paMIOKWjDwvdHNwYW4+PHRzcGFuIHg9JzEwJyBkeT0nMTYnPiAgICAgICAgICAgICAgXChfXykgXCAgICBvICAgICAgICDil6IgICAgICAg4paUPC90c3Bhbj48dHNwYW4geD0nMTAnIGR5PScxNic+ICA8L3RzcGFuPjwvdGV4dD48L3N2Zz4=",
-    "PD94bWwgdmVyc2lvbj0nMS4wJyBlbmNvZGluZz0nVVRGLTgnPz48c3ZnIHhtbG5zPSdodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2Zycgd2lkdGg9JzQ4MCcgaGVpZ2h0PSc5Nic+PHJlY3Qgd2lkdGg9JzEwMCUnIGhlaWdodD0nMTAwJScgZmlsbD0nIzIxMjgzMCcvPjxtZXRhZGF0YT5mcmFtZTQ8L21ldGFkYXRhPjx0ZXh0IGZvbnQtZmFtaWx5PSdDb25zb2xhcywgRGVqYVZ1IFNhbnMgTW9ubywgQ291cmllciBOZXcsIG1vbm9zcGFjZScgZm9udC1zaXplPScxNCcgZmlsbD0nd2hpdGUnIHhtbDpzcGFjZT0ncHJlc2VydmUnIHk9JzAnPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gIDwvdHNwYW4+PHRzcGFuIHg9JzEwJyBkeT0nMTYnPiAgICAgICAgICAgICBcICAgIC9cPC90c3Bhbj48dHNwYW4geD0nMTAnIGR5PScxNic+ICAgICAgICAgICAgICApICAoICcpPC90c3Bhbj48dHNwYW4geD0nMTAnIGR5PScxNic+ICAgICAgICAgICAgICggIC8gICkgICAgICAgICAgICAgICAgICAgICAg4paMIOKWjDwvdHNwYW4+PHRzcGFuIHg9JzEwJyBkeT0nMTYnPiAgICAgICAgICAgICAgXChfXykgXCAgICAgICAgIG8gICDil6IgICAgICAg4paUPC90c3Bhbj48dHNwYW4geD0nMTAnIGR5PScxNic+ICA8L3RzcGFuPjwvdGV4dD48L3N2Zz4=",
-    "PD94bWwgdmVyc2lvbj0nMS4wJyBlbmNvZGluZz0nVVRGLTgnPz48c3ZnIHhtbG5zPSdodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2Zycgd2lkdGg9JzQ4MCcgaGVpZ2h0PSc5Nic+PHJlY3Qgd2lkdGg9JzEwMCUnIGhlaWdodD0nMTAwJScgZmlsbD0nIzIxMjgzMCcvPjxtZXRhZGF0YT5mcmFtZTU8L21ldGFkYXRhPjx0ZXh0IGZvbnQtZmFtaWx5PSdDb25zb2xhcywgRGVqYVZ1IFNhbnMgTW9ubywgQ291cmllciBOZXcsIG1vbm9zcGFjZScgZm9udC1zaXplPScxNCcgZmlsbD0nd2hpdGUnIHhtbDpzcGFjZT0ncHJlc2VydmUnIHk9JzAnPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gIDwvdHNwYW4+PHRzcGFuIHg9JzEwJyBkeT0nMTYnPiAgICAgICAgICAgICBcICAgIC9cPC90c3Bhbj48dHNwYW4geD0nMTAnIGR5PScxNic+ICAgICAgICAgICAgICApICAoICcpPC90c3Bhbj48dHNwYW4geD0nMTAnIGR5PScxNic+ICAgICAgICAgICAgICggIC8gICkgICAgICAgICAgICAgIG8gICAgICAg4paMIOKWjDwvdHNwYW4+PHRzcGFuIHg9JzEwJyBkeT0nMTYnPiAgICAgICAgICAgICAgXChfXykgXCAgICAgICAgICAgICDil6IgICAgICAg4paUPC90c3Bhbj48dHNwYW4geD0nMTAnIGR5PScxNic+ICA8L3RzcGFuPjwvdGV4dD48L3N2Zz4=",
-    "PD94bWwgdmVyc2lvbj0nMS4wJyBlbmNvZGluZz0nVVRGLTgnPz48c3ZnIHhtbG5zPSdodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2Zycgd2lkdGg9JzQ4MCcgaGVpZ2h0PSc5Nic+PHJlY3Qgd2lkdGg9JzEwMCUnIGhlaWdodD0nMTAwJScgZmlsbD0nIzIxMjgzMCcvPjxtZXRhZGF0YT5mcmFtZTY8L21ldGFkYXRhPjx0ZXh0IGZvbnQtZmFtaWx5PSdDb25zb2xhcywgRGVqYVZ1IFNhbnMgTW9ubywgQ291cmllciBOZXcsIG1vbm9zcGFjZScgZm9udC1zaXplPScxNCcgZmlsbD0nd2hpdGUnIHhtbDpzcGFjZT0ncHJlc2VydmUnIHk9JzAnPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gIDwvdHNwYW4+PHRzcGFuIHg9JzEwJyBkeT0nMTYnPiAgICAgICAgICAgICBcICAgIC9cPC90c3Bhbj48dHNwYW4geD0nMTAnIGR5PScxNic+ICAgICAgICAgICAgICApICAoICcpICAgICAgICAgICAgICAgICAgbzwvdHNwYW4+PHRzcGFuIHg9JzEwJyBkeT0nMTYnPiAgICAgICAgICAgICAoICAvICApICAgICAgICAgICAgICAgICAgICAgIOKWjCDilow8L3RzcGFuPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gICAgICAgICAgICAgIFwoX18pIFwgICAgICAgICAgICAg4peiICAgICAgIOKWlDwvdHNwYW4+PHRzcGFuIHg9JzEwJyBkeT0nMTYnPiAgPC90c3Bhbj48L3RleHQ+PC9zdmc+",
-    "PD94bWwgdmVyc2lvbj0nMS4wJyBlbmNvZGluZz0nVVRGLTgnPz48c3ZnIHhtbG5zPSdodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2Zycgd2lkdGg9JzQ4MCcgaGVpZ2h0PSc5Nic+PHJlY3Qgd2lkdGg9JzEwMCUnIGhlaWdodD0nMTAwJScgZmlsbD0nIzIxMjgzMCcvPjxtZXRhZGF0YT5mcmFtZTc8L21ldGFkYXRhPjx0ZXh0IGZvbnQtZmFtaWx5PSdDb25zb2xhcywgRGVqYVZ1IFNhbnMgTW9ubywgQ291cmllciBOZXcsIG1vbm9zcGFjZScgZm9udC1zaXplPScxNCcgZmlsbD0nd2hpdGUnIHhtbDpzcGFjZT0ncHJlc2VydmUnIHk9JzAnPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gIDwvdHNwYW4+PHRzcGFuIHg9JzEwJyBkeT0nMTYnPiAgICAgICAgICAgICBcICAgIC9cPC90c3Bhbj48dHNwYW4geD0nMTAnIGR5PScxNic+ICAgICAgICAgICAgICApICAoICcpICAgICAgICAgICAgICAgICAgICAgbzwvdHNwYW4+PHRzcGFuIHg9JzEwJyBkeT0nMTYnPiAgICAgICAgICAgICAoICAvICApICAgICAgICAgICAgICAgICAgICAgIOKWjCDilow8L3RzcGFuPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gICAgICAgICAgICAgIFwoX18pIFwgICAgICAgICAgICAg4peiICAgICAgIOKWlDwvdHNwYW4+PHRzcGFuIHg9JzEwJyBkeT0nMTYnPiAgPC90c3Bhbj48L3RleHQ+PC9zdmc+",
-    "PD94bWwgdmVyc2lvbj0nMS4wJyBlbmNvZGluZz0nVVRGLTgnPz48c3ZnIHhtbG5zPSdodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2Zycgd2lkdGg9JzQ4MCcgaGVpZ2h0PSc5Nic+PHJlY3Qgd2lkdGg9JzEwMCUnIGhlaWdodD0nMTAwJScgZmlsbD0nIzIxMjgzMCcvPjxtZXRhZGF0YT5mcmFtZTg8L21ldGFkYXRhPjx0ZXh0IGZvbnQtZmFtaWx5PSdDb25zb2xhcywgRGVqYVZ1IFNhbnMgTW9ubywgQ291cmllciBOZXcsIG1vbm9zcGFjZScgZm9udC1zaXplPScxNCcgZmlsbD0nd2hpdGUnIHhtbDpzcGFjZT0ncHJlc2VydmUnIHk9JzAnPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gIDwvdHNwYW4+PHRzcGFuIHg9JzEwJyBkeT0nMTYnPiAgICAgICAgICAgICBcICAgIC9cPC90c3Bhbj48dHNwYW4geD0nMTAnIGR5PScxNic+ICAgICAgICAgICAgICApICAoICcpICAgICAgICAgICAgICAgICAgICAgIDwvdHNwYW4+PHRzcGFuIHg9JzEwJyBkeT0nMTYnPiAgICAgICAgICAgICAoICAvICApICAgICAgICAgICAgICAgICAgICAgIOKWjG/ilow8L3RzcGFuPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gICAgICAgICAgICAgIFwoX18pIFwgICAgICAgICAgICAg4peiICAgICAgIOKWlDwvdHNwYW4+PHRzcGFuIHg9JzEwJyBkeT0nMTYnPiAgPC90c3Bhbj48L3RleHQ+PC9zdmc+",
+    { name: "frame1", text: "ICAKICAgICAgICAgICAgIFwgICAgL1wKICAgICAgICAgICAgICApICAoICcpCiAgICAgICAgICAgICAoICAvICApICAgICAgICAgICAgICAgICAgICAgIOKWjCDilowKICAgICAgICAgICAgICBcKF9fKXxvICAgICAgICAgICAgIOKXoiAgICAgICDilpQKICA=" },
+    { name: "frame2", text: "ICAKICAgICAgICAgICAgIFwgICAgL1wKICAgICAgICAgICAgICApICAoICcpCiAgICAgICAgICAgICAoICAvICApICAgICAgICAgICAgICAgICAgICAgIOKWjCDilowKICAgICAgICAgICAgICBcKF9fKSBcbyAgICAgICAgICAgIOKXoiAgICAgICDilpQKICA=" },
+    { name: "frame3", text: "ICAKICAgICAgICAgICAgIFwgICAgL1wKICAgICAgICAgICAgICApICAoICcpCiAgICAgICAgICAgICAoICAvICApICAgICAgICAgICAgICAgICAgICAgIOKWjCDilowKICAgICAgICAgICAgICBcKF9fKSBcICAgIG8gICAgICAgIOKXoiAgICAgICDilpQKICA=" },
+    { name: "frame4", text: "ICAKICAgICAgICAgICAgIFwgICAgL1wKICAgICAgICAgICAgICApICAoICcpCiAgICAgICAgICAgICAoICAvICApICAgICAgICAgICAgICAgICAgICAgIOKWjCDilowKICAgICAgICAgICAgICBcKF9fKSBcICAgICAgICAgbyAgIOKXoiAgICAgICDilpQKICA=" },
+    { name: "frame5", text: "ICAKICAgICAgICAgICAgIFwgICAgL1wKICAgICAgICAgICAgICApICAoICcpCiAgICAgICAgICAgICAoICAvICApICAgICAgICAgICAgICBvICAgICAgIOKWjCDilowKICAgICAgICAgICAgICBcKF9fKSBcICAgICAgICAgICAgIOKXoiAgICAgICDilpQKICA=" },
+    { name: "frame6", text: "ICAKICAgICAgICAgICAgIFwgICAgL1wKICAgICAgICAgICAgICApICAoICcpICAgICAgICAgICAgICAgICAgbwogICAgICAgICAgICAgKCAgLyAgKSAgICAgICAgICAgICAgICAgICAgICDilowg4paMCiAgICAgICAgICAgICAgXChfXykgXCAgICAgICAgICAgICDil6IgICAgICAg4paUCiAg" },
+    { name: "frame7", text: "ICAKICAgICAgICAgICAgIFwgICAgL1wKICAgICAgICAgICAgICApICAoICcpICAgICAgICAgICAgICAgICAgICAgbwogICAgICAgICAgICAgKCAgLyAgKSAgICAgICAgICAgICAgICAgICAgICDilowg4paMCiAgICAgICAgICAgICAgXChfXykgXCAgICAgICAgICAgICDil6IgICAgICAg4paUCiAg" },
+    { name: "frame8", text: "ICAKICAgICAgICAgICAgIFwgICAgL1wKICAgICAgICAgICAgICApICAoICcpICAgICAgICAgICAgICAgICAgICAgIAogICAgICAgICAgICAgKCAgLyAgKSAgICAgICAgICAgICAgICAgICAgICDiloxv4paMCiAgICAgICAgICAgICAgXChfXykgXCAgICAgICAgICAgICDil6IgICAgICAg4paUCiAg" },
   ],
   3: [
-    "PD94bWwgdmVyc2lvbj0nMS4wJyBlbmNvZGluZz0nVVRGLTgnPz48c3ZnIHhtbG5zPSdodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2Zycgd2lkdGg9JzQ4MCcgaGVpZ2h0PSc5Nic+PHJlY3Qgd2lkdGg9JzEwMCUnIGhlaWdodD0nMTAwJScgZmlsbD0nIzIxMjgzMCcvPjxtZXRhZGF0YT5mcmFtZTE8L21ldGFkYXRhPjx0ZXh0IGZvbnQtZmFtaWx5PSdDb25zb2xhcywgRGVqYVZ1IFNhbnMgTW9ubywgQ291cmllciBOZXcsIG1vbm9zcGFjZScgZm9udC1zaXplPScxNCcgZmlsbD0nd2hpdGUnIHhtbDpzcGFjZT0ncHJlc2VydmUnIHk9JzAnPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gIDwvdHNwYW4+PHRzcGFuIHg9JzEwJyBkeT0nMTYnPiAgICAgICAgICAgICBcICAgIC9cICAgICAgICAgICAgL1wgICAgLyAgPC90c3Bhbj48dHNwYW4geD0nMTAnIGR5PScxNic+ICAgICAgICAgICAgICApICAoICcpICAgICAgICAgICgnICkgICggICA8L3RzcGFuPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gICAgICAgICAgICAgKCAgLyAgKSAgICAgICAgICAgICggIFwgICk8L3RzcGFuPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gICAgICAgICAgICAgIFwoX18pfG8gICAgICAgICAgIHwoX18pLzwvdHNwYW4+PHRzcGFuIHg9JzEwJyBkeT0nMTYnPiAgPC90c3Bhbj48L3RleHQ+PC9zdmc+",
-    "PD94bWwgdmVyc2lvbj0nMS4wJyBlbmNvZGluZz0nVVRGLTgnPz48c3ZnIHhtbG5zPSdodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2Zycgd2lkdGg9JzQ4MCcgaGVpZ2h0PSc5Nic+PHJlY3Qgd2lkdGg9JzEwMCUnIGhlaWdodD0nMTAwJScgZmlsbD0nIzIxMjgzMCcvPjxtZXRhZGF0YT5mcmFtZTI8L21ldGFkYXRhPjx0ZXh0IGZvbnQtZmFtaWx5PSdDb25zb2xhcywgRGVqYVZ1IFNhbnMgTW9ubywgQ291cmllciBOZXcsIG1vbm9zcGFjZScgZm9udC1zaXplPScxNCcgZmlsbD0nd2hpdGUnIHhtbDpzcGFjZT0ncHJlc2VydmUnIHk9JzAnPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gIDwvdHNwYW4+PHRzcGFuIHg9JzEwJyBkeT0nMTYnPiAgICAgICAgICAgICBcICAgIC9cICAgICAgICAgICAgL1wgICAgLyAgPC90c3Bhbj48dHNwYW4geD0nMTAnIGR5PScxNic+ICAgICAgICAgICAgICApICAoICcpICAgICAgICAgICgnICkgICggICA8L3RzcGFuPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gICAgICAgICAgICAgKCAgLyAgKSAgICAgICAgICAgICggIFwgICk8L3RzcGFuPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gICAgICAgICAgICAgIFwoX18pIFwgbyAgICAgICAgIHwoX18pLzwvdHNwYW4+PHRzcGFuIHg9JzEwJyBkeT0nMTYnPiAgPC90c3Bhbj48L3RleHQ+PC9zdmc+",
-    "PD94bWwgdmVyc2lvbj0nMS4wJyBlbmNvZGluZz0nVVRGLTgnPz48c3ZnIHhtbG5zPSdodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2Zycgd2lkdGg9JzQ4MCcgaGVpZ2h0PSc5Nic+PHJlY3Qgd2lkdGg9JzEwMCUnIGhlaWdodD0nMTAwJScgZmlsbD0nIzIxMjgzMCcvPjxtZXRhZGF0YT5mcmFtZTM8L21ldGFkYXRhPjx0ZXh0IGZvbnQtZmFtaWx5PSdDb25zb2xhcywgRGVqYVZ1IFNhbnMgTW9ubywgQ291cmllciBOZXcsIG1vbm9zcGFjZScgZm9udC1zaXplPScxNCcgZmlsbD0nd2hpdGUnIHhtbDpzcGFjZT0ncHJlc2VydmUnIHk9JzAnPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gIDwvdHNwYW4+PHRzcGFuIHg9JzEwJyBkeT0nMTYnPiAgICAgICAgICAgICBcICAgIC9cICAgICAgICAgICAgL1wgICAgLyAgPC90c3Bhbj48dHNwYW4geD0nMTAnIGR5PScxNic+ICAgICAgICAgICAgICApICAoICcpICAgICAgICAgICgnICkgICggICA8L3RzcGFuPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gICAgICAgICAgICAgKCAgLyAgKSAgICAgICAgICAgICggIFwgICk8L3RzcGFuPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gICAgICAgICAgICAgIFwoX18pIFwgICAgIG8gICAgIHwoX18pLzwvdHNwYW4+PHRzcGFuIHg9JzEwJyBkeT0nMTYnPiAgPC90c3Bhbj48L3RleHQ+PC9zdmc+",
-    "PD94bWwgdmVyc2lvbj0nMS4wJyBlbmNvZGluZz0nVVRGLTgnPz48c3ZnIHhtbG5zPSdodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2Zycgd2lkdGg9JzQ4MCcgaGVpZ2h0PSc5Nic+PHJlY3Qgd2lkdGg9JzEwMCUnIGhlaWdodD0nMTAwJScgZmlsbD0nIzIxMjgzMCcvPjxtZXRhZGF0YT5mcmFtZTQ8L21ldGFkYXRhPjx0ZXh0IGZvbnQtZmFtaWx5PSdDb25zb2xhcywgRGVqYVZ1IFNhbnMgTW9ubywgQ291cmllciBOZXcsIG1vbm9zcGFjZScgZm9udC1zaXplPScxNCcgZmlsbD0nd2hpdGUnIHhtbDpzcGFjZT0ncHJlc2VydmUnIHk9JzAnPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gIDwvdHNwYW4+PHRzcGFuIHg9JzEwJyBkeT0nMTYnPiAgICAgICAgICAgICBcICAgIC9cICAgICAgICAgICAgL1wgICAgLyAgPC90c3Bhbj48dHNwYW4geD0nMTAnIGR5PScxNic+ICAgICAgICAgICAgICApICAoICcpICAgICAgICAgICgnICkgICggICA8L3RzcGFuPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gICAgICAgICAgICAgKCAgLyAgKSAgICAgICAgICAgICggIFwgICk8L3RzcGFuPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gICAgICAgICAgICAgIFwoX18pIFwgICAgICAgICBvLyAoX18pLzwvdHNwYW4+PHRzcGFuIHg9JzEwJyBkeT0nMTYnPiAgPC90c3Bhbj48L3RleHQ+PC9zdmc+",
-    "PD94bWwgdmVyc2lvbj0nMS4wJyBlbmNvZGluZz0nVVRGLTgnPz48c3ZnIHhtbG5zPSdodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2Zycgd2lkdGg9JzQ4MCcgaGVpZ2h0PSc5Nic+PHJlY3Qgd2lkdGg9JzEwMCUnIGhlaWdodD0nMTAwJScgZmlsbD0nIzIxMjgzMCcvPjxtZXRhZGF0YT5mcmFtZTU8L21ldGFkYXRhPjx0ZXh0IGZvbnQtZmFtaWx5PSdDb25zb2xhcywgRGVqYVZ1IFNhbnMgTW9ubywgQ291cmllciBOZXcsIG1vbm9zcGFjZScgZm9udC1zaXplPScxNCcgZmlsbD0nd2hpdGUnIHhtbDpzcGFjZT0ncHJlc2VydmUnIHk9JzAnPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gIDwvdHNwYW4+PHRzcGFuIHg9JzEwJyBkeT0nMTYnPiAgICAgICAgICAgICBcICAgIC9cICAgICAgICAgICAgL1wgICAgLyAgPC90c3Bhbj48dHNwYW4geD0nMTAnIGR5PScxNic+ICAgICAgICAgICAgICApICAoICcpICAgICAgICAgICgnICkgICggICA8L3RzcGFuPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gICAgICAgICAgICAgKCAgLyAgKSAgICAgICAgICAgICggIFwgICk8L3RzcGFuPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gICAgICAgICAgICAgIFwoX18pIFwgICAgICAgIG8gLyAoX18pLzwvdHNwYW4+PHRzcGFuIHg9JzEwJyBkeT0nMTYnPiAgPC90c3Bhbj48L3RleHQ+PC9zdmc+",
-    "PD94bWwgdmVyc2lvbj0nMS4wJyBlbmNvZGluZz0nVVRGLTgnPz48c3ZnIHhtbG5zPSdodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2Zycgd2lkdGg9JzQ4MCcgaGVpZ2h0PSc5Nic+PHJlY3Qgd2lkdGg9JzEwMCUnIGhlaWdodD0nMTAwJScgZmlsbD0nIzIxMjgzMCcvPjxtZXRhZGF0YT5mcmFtZTY8L21ldGFkYXRhPjx0ZXh0IGZvbnQtZmFtaWx5PSdDb25zb2xhcywgRGVqYVZ1IFNhbnMgTW9ubywgQ291cmllciBOZXcsIG1vbm9zcGFjZScgZm9udC1zaXplPScxNCcgZmlsbD0nd2hpdGUnIHhtbDpzcGFjZT0ncHJlc2VydmUnIHk9JzAnPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gIDwvdHNwYW4+PHRzcGFuIHg9JzEwJyBkeT0nMTYnPiAgICAgICAgICAgICBcICAgIC9cICAgICAgICAgICAgL1wgICAgLyAgPC90c3Bhbj48dHNwYW4geD0nMTAnIGR5PScxNic+ICAgICAgICAgICAgICApICAoICcpICAgICAgICAgICgnICkgICggICA8L3RzcGFuPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gICAgICAgICAgICAgKCAgLyAgKSAgICAgICAgICAgICggIFwgICk8L3RzcGFuPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gICAgICAgICAgICAgIFwoX18pIFwgICAgIG8gICAgLyAoX18pLzwvdHNwYW4+PHRzcGFuIHg9JzEwJyBkeT0nMTYnPiAgPC90c3Bhbj48L3RleHQ+PC9zdmc+",
-    "PD94bWwgdmVyc2lvbj0nMS4wJyBlbmNvZGluZz0nVVRGLTgnPz48c3ZnIHhtbG5zPSdodHRwOi8vd3d3LnczLm9yZy8yMDAwL3N2Zycgd2lkdGg9JzQ4MCcgaGVpZ2h0PSc5Nic+PHJlY3Qgd2lkdGg9JzEwMCUnIGhlaWdodD0nMTAwJScgZmlsbD0nIzIxMjgzMCcvPjxtZXRhZGF0YT5mcmFtZTg8L21ldGFkYXRhPjx0ZXh0IGZvbnQtZmFtaWx5PSdDb25zb2xhcywgRGVqYVZ1IFNhbnMgTW9ubywgQ291cmllciBOZXcsIG1vbm9zcGFjZScgZm9udC1zaXplPScxNCcgZmlsbD0nd2hpdGUnIHhtbDpzcGFjZT0ncHJlc2VydmUnIHk9JzAnPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gIDwvdHNwYW4+PHRzcGFuIHg9JzEwJyBkeT0nMTYnPiAgICAgICAgICAgICBcICAgIC9cICAgICAgICAgICAgL1wgICAgLyAgPC90c3Bhbj48dHNwYW4geD0nMTAnIGR5PScxNic+ICAgICAgICAgICAgICApICAoICcpICAgICAgICAgICgnICkgICggICA8L3RzcGFuPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gICAgICAgICAgICAgKCAgLyAgKSAgICAgICAgICAgICggIFwgICk8L3RzcGFuPjx0c3BhbiB4PScxMCcgZHk9JzE2Jz4gICAgICAgICAgICAgIFwoX18pIFxvICAgICAgICAgIHwoX18pLzwvdHNwYW4+PHRzcGFuIHg9JzEwJyBkeT0nMTYnPiAgPC90c3Bhbj48L3RleHQ+PC9zdmc+",
+    { name: "frame1", text: "ICAKICAgICAgICAgICAgIFwgICAgL1wgICAgICAgICAgICAvXCAgICAvICAKICAgICAgICAgICAgICApICAoICcpICAgICAgICAgICgnICkgICggICAKICAgICAgICAgICAgICggIC8gICkgICAgICAgICAgICAoICBcICApCiAgICAgICAgICAgICAgXChfXyl8byAgICAgICAgICAgfChfXykvCiAg" },
+    { name: "frame2", text: "ICAKICAgICAgICAgICAgIFwgICAgL1wgICAgICAgICAgICAvXCAgICAvICAKICAgICAgICAgICAgICApICAoICcpICAgICAgICAgICgnICkgICggICAKICAgICAgICAgICAgICggIC8gICkgICAgICAgICAgICAoICBcICApCiAgICAgICAgICAgICAgXChfXykgXCBvICAgICAgICAgfChfXykvCiAg" },
+    { name: "frame3", text: "ICAKICAgICAgICAgICAgIFwgICAgL1wgICAgICAgICAgICAvXCAgICAvICAKICAgICAgICAgICAgICApICAoICcpICAgICAgICAgICgnICkgICggICAKICAgICAgICAgICAgICggIC8gICkgICAgICAgICAgICAoICBcICApCiAgICAgICAgICAgICAgXChfXykgXCAgICAgbyAgICAgfChfXykvCiAg" },
+    { name: "frame4", text: "ICAKICAgICAgICAgICAgIFwgICAgL1wgICAgICAgICAgICAvXCAgICAvICAKICAgICAgICAgICAgICApICAoICcpICAgICAgICAgICgnICkgICggICAKICAgICAgICAgICAgICggIC8gICkgICAgICAgICAgICAoICBcICApCiAgICAgICAgICAgICAgXChfXykgXCAgICAgICAgIG8vIChfXykvCiAg" },
+    { name: "frame5", text: "ICAKICAgICAgICAgICAgIFwgICAgL1wgICAgICAgICAgICAvXCAgICAvICAKICAgICAgICAgICAgICApICAoICcpICAgICAgICAgICgnICkgICggICAKICAgICAgICAgICAgICggIC8gICkgICAgICAgICAgICAoICBcICApCiAgICAgICAgICAgICAgXChfXykgXCAgICAgICAgbyAvIChfXykvCiAg" },
+    { name: "frame6", text: "ICAKICAgICAgICAgICAgIFwgICAgL1wgICAgICAgICAgICAvXCAgICAvICAKICAgICAgICAgICAgICApICAoICcpICAgICAgICAgICgnICkgICggICAKICAgICAgICAgICAgICggIC8gICkgICAgICAgICAgICAoICBcICApCiAgICAgICAgICAgICAgXChfXykgXCAgICAgbyAgICAvIChfXykvCiAg" },
+    { name: "frame8", text: "ICAKICAgICAgICAgICAgIFwgICAgL1wgICAgICAgICAgICAvXCAgICAvICAKICAgICAgICAgICAgICApICAoICcpICAgICAgICAgICgnICkgICggICAKICAgICAgICAgICAgICggIC8gICkgICAgICAgICAgICAoICBcICApCiAgICAgICAgICAgICAgXChfXykgXG8gICAgICAgICAgfChfXykvCiAg" },
   ],
 };
 
+export const MANIFESTS = {
+  1: {"sequence":[0,1,2,3,4,5,6,7],"durations":[null,null,null,null,null,null,null,null]},
+  2: {"sequence":[0,1,2,3,4,5,6,7],"durations":[null,null,null,null,null,null,null,null]},
+  3: {"sequence":[0,1,2,3,4,5,6],"durations":[null,null,null,null,null,null,null]},
+};
+
 export const ANIMATION_IDS = [1, 2, 3];
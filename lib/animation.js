@@ -0,0 +1,25 @@
+// Animations in play order, shared by the worker and the build scripts
+
+/**
+ * Put an animation's frames in play order (per its manifest) and resolve
+ * colour mask runs, [line, col, length, paletteKey], to palette styles
+ *
+ * @param {string} id
+ * @param {object} manifest - normalized manifest, as stored in gen/frames.js
+ * @param {Array<{name: string, lines: string[], runs?: Array}>} frames - frames in file order
+ * @returns {{id: string, manifest: object, frames: object[], durations: Array<number|null>}}
+ */
+export function playableAnimation(id, manifest, frames) {
+  const resolved = frames.map((frame) => ({
+    name: frame.name,
+    lines: frame.lines,
+    runs: frame.runs?.map(([line, col, length, key]) => [line, col, length, manifest.palette[key]]),
+  }));
+
+  return {
+    id,
+    manifest,
+    frames: manifest.sequence.map((idx) => resolved[idx]),
+    durations: manifest.durations,
+  };
+}
@@ -0,0 +1,87 @@
+// Captions composed onto the ASCII art, so every output format gets them
+import { lineColumns } from "./render.js";
+
+export const CAPTION_STYLES = ["banner", "bubble"];
+export const MAX_CAPTION_LENGTH = 140;
+
+const BANNER_COLS = 48;
+const BUBBLE_COLS = 24;
+const BUBBLE_GAP = 2; // columns between the art and the bubble
+const INDENT = "  "; // matches the art's left margin
+
+/**
+ * Greedy word wrap; words longer than a line are split
+ */
+export function wrapText(text, cols) {
+  const lines = [];
+  let current = "";
+  for (let word of text.split(" ").filter(Boolean)) {
+    while (lineColumns(word) > cols) {
+      if (current) {
+        lines.push(current);
+        current = "";
+      }
+      const chars = Array.from(word);
+      lines.push(chars.slice(0, cols).join(""));
+      word = chars.slice(cols).join("");
+    }
+    if (!current) {
+      current = word;
+    } else if (lineColumns(current) + 1 + lineColumns(word) <= cols) {
+      current += ` ${word}`;
+    } else {
+      lines.push(current);
+      current = word;
+    }
+  }
+  if (current) lines.push(current);
+  return lines;
+}
+
+function padColumns(line, cols) {
+  return line + " ".repeat(Math.max(0, cols - lineColumns(line)));
+}
+
+/**
+ * Draw wrapped text as a speech bubble with its tail on the left:
+ *
+ *    .----------.
+ *   <  hi there  |
+ *    '----------'
+ */
+function bubbleLines(textLines) {
+  const w = Math.max(...textLines.map(lineColumns));
+  return [
+    ` .${"-".repeat(w + 2)}.`,
+    ...textLines.map((line, idx) => `${idx === 0 ? "<  " : " | "}${padColumns(line, w)} |`),
+    ` '${"-".repeat(w + 2)}'`,
+  ];
+}
+
+/**
+ * Add a caption to every frame of an animation.
+ * Bubbles sit to the right of the widest frame so they stay put while the
+ * art moves; banners go underneath. Colour runs keep their positions.
+ *
+ * @param {Array<{name: string, lines: string[]}>} frames
+ * @param {{text: string, style: string}} caption
+ */
+export function applyCaption(frames, caption) {
+  if (caption.style === "bubble") {
+    const bubble = bubbleLines(wrapText(caption.text, BUBBLE_COLS));
+    const artCols = Math.max(...frames.flatMap((f) => f.lines.map(lineColumns)));
+    const col = artCols + BUBBLE_GAP;
+
+    return frames.map((frame) => {
+      const rows = Math.max(frame.lines.length, bubble.length);
+      const lines = Array.from({ length: rows }, (_, idx) => {
+        const art = frame.lines[idx] ?? "";
+        return idx < bubble.length ? padColumns(art, col) + bubble[idx] : art;
+      });
+      return { ...frame, lines };
+    });
+  }
+
+  const banner = wrapText(caption.text, BANNER_COLS).map((line) => INDENT + line);
+  return frames.map((frame) => ({ ...frame, lines: [...frame.lines, ...banner] }));
+}
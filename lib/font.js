@@ -0,0 +1,188 @@
+// Bitmap font for raster output
+//
+// Printable ASCII uses the classic 5x7 LCD font: five column bytes per glyph,
+// bit 0 is the top row. Block elements and the few geometric shapes used by
+// the art are drawn from their geometry so they tile like a real terminal.
+
+export const GLYPH_COLS = 5;
+export const GLYPH_ROWS = 7;
+
+// Glyph box inside a 6x8 cell: one column of spacing, one row for descent
+const CELL_COLS = 6;
+const CELL_ROWS = 8;
+
+const ASCII_5X7 = [
+  0x00, 0x00, 0x00, 0x00, 0x00, // space
+  0x00, 0x00, 0x5f, 0x00, 0x00, // !
+  0x00, 0x07, 0x00, 0x07, 0x00, // "
+  0x14, 0x7f, 0x14, 0x7f, 0x14, // #
+  0x24, 0x2a, 0x7f, 0x2a, 0x12, // $
+  0x23, 0x13, 0x08, 0x64, 0x62, // %
+  0x36, 0x49, 0x55, 0x22, 0x50, // &
+  0x00, 0x05, 0x03, 0x00, 0x00, // '
+  0x00, 0x1c, 0x22, 0x41, 0x00, // (
+  0x00, 0x41, 0x22, 0x1c, 0x00, // )
+  0x08, 0x2a, 0x1c, 0x2a, 0x08, // *
+  0x08, 0x08, 0x3e, 0x08, 0x08, // +
+  0x00, 0x50, 0x30, 0x00, 0x00, // ,
+  0x08, 0x08, 0x08, 0x08, 0x08, // -
+  0x00, 0x60, 0x60, 0x00, 0x00, // .
+  0x20, 0x10, 0x08, 0x04, 0x02, // /
+  0x3e, 0x51, 0x49, 0x45, 0x3e, // 0
+  0x00, 0x42, 0x7f, 0x40, 0x00, // 1
+  0x42, 0x61, 0x51, 0x49, 0x46, // 2
+  0x21, 0x41, 0x45, 0x4b, 0x31, // 3
+  0x18, 0x14, 0x12, 0x7f, 0x10, // 4
+  0x27, 0x45, 0x45, 0x45, 0x39, // 5
+  0x3c, 0x4a, 0x49, 0x49, 0x30, // 6
+  0x01, 0x71, 0x09, 0x05, 0x03, // 7
+  0x36, 0x49, 0x49, 0x49, 0x36, // 8
+  0x06, 0x49, 0x49, 0x29, 0x1e, // 9
+  0x00, 0x36, 0x36, 0x00, 0x00, // :
+  0x00, 0x56, 0x36, 0x00, 0x00, // ;
+  0x08, 0x14, 0x22, 0x41, 0x00, // <
+  0x14, 0x14, 0x14, 0x14, 0x14, // =
+  0x00, 0x41, 0x22, 0x14, 0x08, // >
+  0x02, 0x01, 0x51, 0x09, 0x06, // ?
+  0x32, 0x49, 0x79, 0x41, 0x3e, // @
+  0x7e, 0x11, 0x11, 0x11, 0x7e, // A
+  0x7f, 0x49, 0x49, 0x49, 0x36, // B
+  0x3e, 0x41, 0x41, 0x41, 0x22, // C
+  0x7f, 0x41, 0x41, 0x22, 0x1c, // D
+  0x7f, 0x49, 0x49, 0x49, 0x41, // E
+  0x7f, 0x09, 0x09, 0x09, 0x01, // F
+  0x3e, 0x41, 0x49, 0x49, 0x7a, // G
+  0x7f, 0x08, 0x08, 0x08, 0x7f, // H
+  0x00, 0x41, 0x7f, 0x41, 0x00, // I
+  0x20, 0x40, 0x41, 0x3f, 0x01, // J
+  0x7f, 0x08, 0x14, 0x22, 0x41, // K
+  0x7f, 0x40, 0x40, 0x40, 0x40, // L
+  0x7f, 0x02, 0x0c, 0x02, 0x7f, // M
+  0x7f, 0x04, 0x08, 0x10, 0x7f, // N
+  0x3e, 0x41, 0x41, 0x41, 0x3e, // O
+  0x7f, 0x09, 0x09, 0x09, 0x06, // P
+  0x3e, 0x41, 0x51, 0x21, 0x5e, // Q
+  0x7f, 0x09, 0x19, 0x29, 0x46, // R
+  0x46, 0x49, 0x49, 0x49, 0x31, // S
+  0x01, 0x01, 0x7f, 0x01, 0x01, // T
+  0x3f, 0x40, 0x40, 0x40, 0x3f, // U
+  0x1f, 0x20, 0x40, 0x20, 0x1f, // V
+  0x3f, 0x40, 0x38, 0x40, 0x3f, // W
+  0x63, 0x14, 0x08, 0x14, 0x63, // X
+  0x07, 0x08, 0x70, 0x08, 0x07, // Y
+  0x61, 0x51, 0x49, 0x45, 0x43, // Z
+  0x00, 0x7f, 0x41, 0x41, 0x00, // [
+  0x02, 0x04, 0x08, 0x10, 0x20, // backslash
+  0x00, 0x41, 0x41, 0x7f, 0x00, // ]
+  0x04, 0x02, 0x01, 0x02, 0x04, // ^
+  0x40, 0x40, 0x40, 0x40, 0x40, // _
+  0x00, 0x01, 0x02, 0x04, 0x00, // `
+  0x20, 0x54, 0x54, 0x54, 0x78, // a
+  0x7f, 0x48, 0x44, 0x44, 0x38, // b
+  0x38, 0x44, 0x44, 0x44, 0x20, // c
+  0x38, 0x44, 0x44, 0x48, 0x7f, // d
+  0x38, 0x54, 0x54, 0x54, 0x18, // e
+  0x08, 0x7e, 0x09, 0x01, 0x02, // f
+  0x0c, 0x52, 0x52, 0x52, 0x3e, // g
+  0x7f, 0x08, 0x04, 0x04, 0x78, // h
+  0x00, 0x44, 0x7d, 0x40, 0x00, // i
+  0x20, 0x40, 0x44, 0x3d, 0x00, // j
+  0x7f, 0x10, 0x28, 0x44, 0x00, // k
+  0x00, 0x41, 0x7f, 0x40, 0x00, // l
+  0x7c, 0x04, 0x18, 0x04, 0x78, // m
+  0x7c, 0x08, 0x04, 0x04, 0x78, // n
+  0x38, 0x44, 0x44, 0x44, 0x38, // o
+  0x7c, 0x14, 0x14, 0x14, 0x08, // p
+  0x08, 0x14, 0x14, 0x18, 0x7c, // q
+  0x7c, 0x08, 0x04, 0x04, 0x08, // r
+  0x48, 0x54, 0x54, 0x54, 0x20, // s
+  0x04, 0x3f, 0x44, 0x40, 0x20, // t
+  0x3c, 0x40, 0x40, 0x20, 0x7c, // u
+  0x1c, 0x20, 0x40, 0x20, 0x1c, // v
+  0x3c, 0x40, 0x30, 0x40, 0x3c, // w
+  0x44, 0x28, 0x10, 0x28, 0x44, // x
+  0x0c, 0x50, 0x50, 0x50, 0x3c, // y
+  0x44, 0x64, 0x54, 0x4c, 0x44, // z
+  0x00, 0x08, 0x36, 0x41, 0x00, // {
+  0x00, 0x00, 0x7f, 0x00, 0x00, // |
+  0x00, 0x41, 0x36, 0x08, 0x00, // }
+  0x08, 0x04, 0x08, 0x10, 0x08, // ~
+];
+
+/**
+ * Sampler for a 5x7 ASCII glyph: (fx, fy) in [0, 1) over the whole cell
+ */
+function asciiSampler(code) {
+  const base = (code - 0x20) * GLYPH_COLS;
+  return (fx, fy) => {
+    const col = Math.floor(fx * CELL_COLS);
+    const row = Math.floor(fy * CELL_ROWS);
+    if (col >= GLYPH_COLS || row >= GLYPH_ROWS) return false;
+    return ((ASCII_5X7[base + col] >> row) & 1) === 1;
+  };
+}
+
+const rect = (x0, y0, x1, y1) => (fx, fy) => fx >= x0 && fx < x1 && fy >= y0 && fy < y1;
+const any = (...parts) => (fx, fy) => parts.some((p) => p(fx, fy));
+const shade = (density) => (fx, fy) => {
+  const cell = (Math.floor(fx * 8) + Math.floor(fy * 8) * 3) % 4;
+  return cell < density;
+};
+
+const TL = rect(0, 0, 0.5, 0.5);
+const TR = rect(0.5, 0, 1, 0.5);
+const BL = rect(0, 0.5, 0.5, 1);
+const BR = rect(0.5, 0.5, 1, 1);
+
+// Block elements, U+2580..U+259F
+const BLOCKS = {
+  0x2580: rect(0, 0, 1, 0.5), // ▀
+  0x2590: rect(0.5, 0, 1, 1), // ▐
+  0x2591: shade(1), // ░
+  0x2592: shade(2), // ▒
+  0x2593: shade(3), // ▓
+  0x2594: rect(0, 0, 1, 1 / 8), // ▔
+  0x2595: rect(7 / 8, 0, 1, 1), // ▕
+  0x2596: BL, // ▖
+  0x2597: BR, // ▗
+  0x2598: TL, // ▘
+  0x2599: any(TL, BL, BR), // ▙
+  0x259a: any(TL, BR), // ▚
+  0x259b: any(TL, TR, BL), // ▛
+  0x259c: any(TL, TR, BR), // ▜
+  0x259d: TR, // ▝
+  0x259e: any(TR, BL), // ▞
+  0x259f: any(TR, BL, BR), // ▟
+};
+// ▁..█ lower eighths, ▉..▏ left eighths
+for (let n = 1; n <= 8; n++) BLOCKS[0x2580 + n] = rect(0, 1 - n / 8, 1, 1);
+for (let n = 7; n >= 1; n--) BLOCKS[0x2590 - n] = rect(0, 0, n / 8, 1);
+
+// Geometric shapes
+const SHAPES = {
+  0x25a0: rect(0.1, 0.25, 0.9, 0.85), // ■
+  0x25cf: (fx, fy) => (fx - 0.5) ** 2 + ((fy - 0.55) * 0.75) ** 2 < 0.16, // ●
+  0x25e2: (fx, fy) => fx + fy >= 1, // ◢
+  0x25e3: (fx, fy) => fy >= fx, // ◣
+  0x25e4: (fx, fy) => fx + fy < 1, // ◤
+  0x25e5: (fx, fy) => fx >= fy, // ◥
+};
+
+// Anything else: a hollow box, like a missing glyph in a terminal
+const MISSING = any(
+  rect(0.1, 0.15, 0.75, 0.25),
+  rect(0.1, 0.75, 0.75, 0.85),
+  rect(0.1, 0.15, 0.25, 0.85),
+  rect(0.6, 0.15, 0.75, 0.85)
+);
+
+/**
+ * Pixel sampler for one character, or null for blank cells.
+ * The sampler takes cell-relative coordinates (fx, fy) in [0, 1).
+ */
+export function glyphSampler(ch) {
+  const code = ch.codePointAt(0);
+  if (code === 0x20 || code === 0xa0) return null;
+  if (code > 0x20 && code < 0x7f) return asciiSampler(code);
+  return BLOCKS[code] ?? SHAPES[code] ?? MISSING;
+}
@@ -0,0 +1,177 @@
+// HTML gallery of every animation, served at /gallery and written by the build
+import { DEFAULT_FRAME_DURATION, renderFrameSvg } from "./render.js";
+import { DAY_MS, daysUntilAnimation } from "./schedule.js";
+import { dateKey } from "./stats.js";
+
+const SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+const PAGE_CSS = `
+body{margin:0 auto;max-width:960px;padding:24px;font:14px/1.5 system-ui,sans-serif;background:#f6f8fa;color:#1f2328}
+@media (prefers-color-scheme: dark){body{background:#0d1117;color:#e6edf3}section,input{background:#161b22!important;color:inherit;border-color:#30363d!important}}
+header{display:flex;flex-wrap:wrap;gap:12px;align-items:baseline;justify-content:space-between}
+section{margin:16px 0;padding:16px;border:1px solid #d0d7de;border-radius:6px;background:#fff}
+h2{margin:0 0 4px;font-size:16px}
+.when{margin:0 0 12px;opacity:.8}
+.today{color:#1a7f37;font-weight:600}
+.player{position:relative;overflow-x:auto}
+.player img{display:block;max-width:none}
+.player img[hidden]{display:none}
+.embed{display:grid;grid-template-columns:8em 1fr auto;gap:4px 8px;align-items:center;margin-top:12px}
+.embed input{font:12px ui-monospace,monospace;padding:4px;border:1px solid #d0d7de;border-radius:4px;min-width:0}
+`;
+
+// Plays each animation by showing one frame image at a time, at the chosen
+// speed, and copies embed snippets
+const PAGE_SCRIPT = `
+let speed = 1;
+const players = Array.from(document.querySelectorAll(".player"), (player) => ({
+  frames: player.querySelectorAll("img"),
+  durations: player.dataset.durations.split(",").map(Number),
+  current: 0,
+  timer: null,
+}));
+
+const schedule = (player) => {
+  clearTimeout(player.timer);
+  player.timer = setTimeout(() => {
+    player.frames[player.current].hidden = true;
+    player.current = (player.current + 1) % player.frames.length;
+    player.frames[player.current].hidden = false;
+    schedule(player);
+  }, player.durations[player.current] / speed);
+};
+const animated = players.filter((player) => player.frames.length > 1);
+animated.forEach(schedule);
+
+// A new speed applies straight away, restarting the current frame's hold
+const speedInput = document.getElementById("speed");
+speedInput.addEventListener("change", () => {
+  speed = Number(speedInput.value);
+  animated.forEach(schedule);
+});
+
+for (const button of document.querySelectorAll("button[data-copy]")) {
+  button.addEventListener("click", async () => {
+    const input = document.getElementById(button.dataset.copy);
+    input.select();
+    try {
+      await navigator.clipboard.writeText(input.value);
+    } catch {
+      document.execCommand("copy");
+    }
+    button.textContent = "Copied";
+    setTimeout(() => { button.textContent = "Copy"; }, 1500);
+  });
+}
+`;
+
+function htmlEscape(s) {
+  return String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function svgDataUri(svg) {
+  return `data:image/svg+xml,${encodeURIComponent(svg)}`;
+}
+
+/**
+ * Embed variants offered for an animation: [label, path]
+ */
+function embedOptions(animId) {
+  return [
+    ["Stepped", `/?anim=${animId}`],
+    ["Animated", `/animated?anim=${animId}`],
+    ["GIF", `/animated?anim=${animId}&format=gif`],
+  ];
+}
+
+function embedRows(baseUrl, animId) {
+  return embedOptions(animId)
+    .flatMap(([label, path], idx) => {
+      const url = baseUrl + path;
+      return [
+        [`${label} (md)`, `![cat and ball](${url})`, `embed-${animId}-${idx}-md`],
+        [`${label} (html)`, `<img src="${url}" alt="cat and ball">`, `embed-${animId}-${idx}-html`],
+      ];
+    })
+    .map(
+      ([label, snippet, id]) =>
+        `<label for='${id}'>${htmlEscape(label)}</label>` +
+        `<input id='${id}' readonly value="${htmlEscape(snippet)}">` +
+        `<button type='button' data-copy='${id}'>Copy</button>`
+    )
+    .join("");
+}
+
+function scheduleText(daysUntil, day) {
+  if (daysUntil === 0) return "<span class='today'>Today</span>";
+  const date = dateKey((day + daysUntil) * DAY_MS);
+  return `Next on ${date} (in ${daysUntil} day${daysUntil === 1 ? "" : "s"})`;
+}
+
+function animationSection(animation, ids, baseUrl, day, dayOffset) {
+  const { id, manifest } = animation;
+  const { width, height, background, foreground } = manifest;
+  const options = { width, height, darkColors: { background, foreground } };
+
+  const fallback = manifest.duration ?? DEFAULT_FRAME_DURATION;
+  const durations = animation.durations.map((d) => d ?? fallback);
+  const frames = animation.frames
+    .map(
+      (frame, idx) =>
+        `<img src="${htmlEscape(svgDataUri(renderFrameSvg(frame, options)))}" alt="${htmlEscape(frame.name)}"${idx === 0 ? "" : " hidden"}>`
+    )
+    .join("");
+
+  const title = manifest.title ? `${id} · ${manifest.title}` : `${id}`;
+  const daysUntil = daysUntilAnimation(ids, id, day, { offset: dayOffset });
+
+  return (
+    `<section id='anim-${htmlEscape(id)}'>` +
+    `<h2>${htmlEscape(title)}</h2>` +
+    `<p class='when'>${scheduleText(daysUntil, day)}` +
+    (manifest.author ? ` · by ${htmlEscape(manifest.author)}` : "") +
+    ` · ${animation.frames.length} frames</p>` +
+    `<div class='player' data-durations='${durations.join(",")}'>${frames}</div>` +
+    `<div class='embed'>${embedRows(baseUrl, id)}</div>` +
+    "</section>"
+  );
+}
+
+/**
+ * Render the gallery page: every animation playing in the browser, when it
+ * is scheduled and embed snippets. The page is self-contained, so it also
+ * works saved to disk.
+ *
+ * @param {Array<{id: string, manifest: object, frames: object[], durations: Array<number|null>}>} animations
+ *   animations in rotation order, frames in play order with resolved styles
+ * @param {object} options
+ * @param {string} options.baseUrl - origin used in the embed snippets
+ * @param {number} options.day - day number the schedule is relative to
+ * @param {number} [options.dayOffset] - the DAY_OFFSET var
+ */
+export function renderGalleryHtml(animations, { baseUrl, day, dayOffset = 0 }) {
+  const ids = animations.map((a) => a.id);
+  const speeds = SPEEDS.map(
+    (s) => `<option value='${s}'${s === 1 ? " selected" : ""}>${s}×</option>`
+  ).join("");
+
+  return (
+    "<!DOCTYPE html>" +
+    "<html lang='en'><head><meta charset='utf-8'>" +
+    "<meta name='viewport' content='width=device-width, initial-scale=1'>" +
+    "<title>cat-and-ball gallery</title>" +
+    `<style>${PAGE_CSS}</style>` +
+    "</head><body>" +
+    "<header><h1>cat-and-ball</h1>" +
+    `<label>Speed <select id='speed'>${speeds}</select></label></header>` +
+    `<p>${animations.length} animations, rotating daily at midnight UTC. Schedule as of ${dateKey(day * DAY_MS)}.</p>` +
+    animations.map((a) => animationSection(a, ids, baseUrl, day, dayOffset)).join("") +
+    `<script>${PAGE_SCRIPT}</script>` +
+    "</body></html>"
+  );
+}
@@ -0,0 +1,159 @@
+// Minimal animated GIF encoder for indexed-colour frames
+
+const MAX_CODE = 4096;
+
+/**
+ * Byte sink that also packs variable-width LZW codes
+ */
+class ByteWriter {
+  constructor(capacity = 4096) {
+    this.buffer = new Uint8Array(capacity);
+    this.length = 0;
+  }
+
+  reserve(n) {
+    if (this.length + n <= this.buffer.length) return;
+    const grown = new Uint8Array(Math.max(this.buffer.length * 2, this.length + n));
+    grown.set(this.buffer.subarray(0, this.length));
+    this.buffer = grown;
+  }
+
+  byte(...values) {
+    this.reserve(values.length);
+    for (const v of values) this.buffer[this.length++] = v & 0xff;
+  }
+
+  uint16(n) {
+    this.byte(n, n >> 8);
+  }
+
+  ascii(s) {
+    for (const c of s) this.byte(c.charCodeAt(0));
+  }
+
+  /**
+   * Write data as length-prefixed sub-blocks of at most 255 bytes
+   */
+  subBlocks(data) {
+    for (let i = 0; i < data.length; i += 255) {
+      const block = data.slice(i, i + 255);
+      this.reserve(block.length + 1);
+      this.buffer[this.length++] = block.length;
+      this.buffer.set(block, this.length);
+      this.length += block.length;
+    }
+    this.byte(0);
+  }
+
+  toUint8Array() {
+    return this.buffer.slice(0, this.length);
+  }
+}
+
+/**
+ * LZW-compress palette indexes the way GIF decoders expect
+ */
+function lzwEncode(indexes, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const eoiCode = clearCode + 1;
+  const out = [];
+
+  let codeSize = minCodeSize + 1;
+  let nextCode = eoiCode + 1;
+  let table = new Map();
+  let acc = 0;
+  let accBits = 0;
+
+  const emit = (code) => {
+    acc |= code << accBits;
+    accBits += codeSize;
+    while (accBits >= 8) {
+      out.push(acc & 0xff);
+      acc >>>= 8;
+      accBits -= 8;
+    }
+  };
+
+  emit(clearCode);
+  let prefix = indexes[0];
+  for (let i = 1; i < indexes.length; i++) {
+    const k = indexes[i];
+    const key = prefix * 256 + k;
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+
+    emit(prefix);
+    if (nextCode === MAX_CODE) {
+      // Table is full: start over
+      emit(clearCode);
+      table = new Map();
+      codeSize = minCodeSize + 1;
+      nextCode = eoiCode + 1;
+    } else {
+      if (nextCode >= 1 << codeSize) codeSize++;
+      table.set(key, nextCode++);
+    }
+    prefix = k;
+  }
+  emit(prefix);
+  emit(eoiCode);
+  if (accBits > 0) out.push(acc & 0xff);
+
+  return out;
+}
+
+/**
+ * Encode indexed frames of the same size as an animated GIF
+ *
+ * @param {Array<{width: number, height: number, pixels: Uint8Array}>} images
+ * @param {number[][]} palette - [r, g, b] per index, at most 256 entries
+ * @param {object} timing - { durations: ms per frame, loop: count or "infinite" }
+ * @returns {Uint8Array}
+ */
+export function encodeGif(images, palette, { durations, loop = "infinite" }) {
+  const { width, height } = images[0];
+
+  // Global colour table size is a power of two, at least 4 entries
+  const tableBits = Math.max(2, Math.ceil(Math.log2(palette.length)));
+  const table = Array.from({ length: 1 << tableBits }, (_, i) => palette[i] ?? [0, 0, 0]);
+
+  const w = new ByteWriter();
+  w.ascii("GIF89a");
+  w.uint16(width);
+  w.uint16(height);
+  w.byte(0x80 | ((tableBits - 1) << 4) | (tableBits - 1), 0, 0);
+  for (const [r, g, b] of table) w.byte(r, g, b);
+
+  // NETSCAPE2.0 repeat count: 0 loops forever, n plays n + 1 times
+  if (loop !== 1) {
+    w.byte(0x21, 0xff, 11);
+    w.ascii("NETSCAPE2.0");
+    w.byte(3, 1);
+    w.uint16(loop === "infinite" ? 0 : loop - 1);
+    w.byte(0);
+  }
+
+  images.forEach((image, i) => {
+    // Graphic control extension: delay in hundredths of a second
+    w.byte(0x21, 0xf9, 4, 0x04);
+    w.uint16(Math.max(2, Math.round(durations[i] / 10)));
+    w.byte(0, 0);
+
+    // Image descriptor covering the whole canvas, no local colour table
+    w.byte(0x2c);
+    w.uint16(0);
+    w.uint16(0);
+    w.uint16(width);
+    w.uint16(height);
+    w.byte(0);
+
+    w.byte(tableBits);
+    w.subBlocks(lzwEncode(image.pixels, tableBits));
+  });
+
+  w.byte(0x3b);
+  return w.toUint8Array();
+}
@@ -0,0 +1,60 @@
+// In-memory rate limiting
+//
+// Counters live in the isolate, not in KV: limiting KV writes with more KV
+// writes would defeat the point. Each isolate enforces its own limits, so the
+// effective global limit scales with the number of isolates serving traffic.
+
+export const LIMIT_DEFAULTS = {
+  MAX_QUERY_LENGTH: 512, // decoded characters
+  RATE_LIMIT_PER_VISITOR: 120, // requests per minute per client
+  RATE_LIMIT_CAMO: 1200, // requests per minute per IP claiming to be GitHub Camo
+  RATE_LIMIT_GLOBAL: 1000, // KV writes per minute, frame state and stats
+  WRITE_COALESCE_MS: 1000, // min gap between KV writes for one visitor
+};
+
+const WINDOW_MS = 60_000;
+const MAX_TRACKED_KEYS = 10_000;
+
+/**
+ * Fixed-window counter: at most `limit` hits per key per window
+ */
+export class FixedWindowLimiter {
+  constructor(limit, windowMs = WINDOW_MS) {
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.windowStart = 0;
+    this.counts = new Map();
+  }
+
+  /**
+   * Count a hit for key; false once the key is over its limit
+   */
+  take(key = "", now = Date.now()) {
+    if (now - this.windowStart >= this.windowMs || this.counts.size >= MAX_TRACKED_KEYS) {
+      this.windowStart = now;
+      this.counts.clear();
+    }
+    const count = (this.counts.get(key) ?? 0) + 1;
+    this.counts.set(key, count);
+    return count <= this.limit;
+  }
+
+  /**
+   * Whole seconds until the current window resets
+   */
+  retryAfter(now = Date.now()) {
+    return Math.max(1, Math.ceil((this.windowStart + this.windowMs - now) / 1000));
+  }
+}
+
+/**
+ * Read limit settings from worker vars, falling back to LIMIT_DEFAULTS
+ */
+export function readLimitConfig(env) {
+  const config = {};
+  for (const [name, fallback] of Object.entries(LIMIT_DEFAULTS)) {
+    const value = Number(env[name] ?? fallback);
+    config[name] = Number.isInteger(value) && value >= 0 ? value : fallback;
+  }
+  return config;
+}
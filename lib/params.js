@@ -0,0 +1,234 @@
+// Query parameter parsing and validation for the worker routes
+import { CAPTION_STYLES, MAX_CAPTION_LENGTH } from "./caption.js";
+import { isMonospaceSafe } from "./render.js";
+
+/**
+ * Thrown for malformed or out-of-range query parameters (served as 400)
+ */
+export class ParamError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ParamError";
+  }
+}
+
+const THEME_NAMES = ["dark", "light", "auto"];
+const HEX_COLOR_RE = /^#?([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+const INT_RE = /^\d+$/;
+
+export const FONT_SIZE_RANGE = [6, 48];
+export const CANVAS_RANGE = [16, 2000];
+
+/**
+ * Parse a hex colour; the leading "#" is optional since it has to be
+ * percent-encoded in a URL
+ */
+function parseColor(name, value) {
+  const m = value.match(HEX_COLOR_RE);
+  if (!m) {
+    throw new ParamError(`${name} must be a hex colour like 212830 or #fff`);
+  }
+  return `#${m[1].toLowerCase()}`;
+}
+
+function parseInteger(name, value, [min, max]) {
+  if (!INT_RE.test(value)) {
+    throw new ParamError(`${name} must be an integer`);
+  }
+  const n = Number(value);
+  if (n < min || n > max) {
+    throw new ParamError(`${name} must be between ${min} and ${max}`);
+  }
+  return n;
+}
+
+function parseCanvasSize(name, value) {
+  if (value === "auto") return "auto";
+  return parseInteger(name, value, CANVAS_RANGE);
+}
+
+/**
+ * Read theme and layout options from the query string.
+ * Missing parameters are left undefined so the renderer defaults apply.
+ */
+export function parseRenderOptions(params) {
+  const options = {};
+
+  const theme = params.get("theme");
+  if (theme !== null) {
+    if (!THEME_NAMES.includes(theme)) {
+      throw new ParamError(`theme must be one of ${THEME_NAMES.join(", ")}`);
+    }
+    options.theme = theme;
+  }
+
+  const bg = params.get("bg");
+  if (bg !== null) options.background = parseColor("bg", bg);
+
+  const fg = params.get("fg");
+  if (fg !== null) options.foreground = parseColor("fg", fg);
+
+  const fontSize = params.get("font-size");
+  if (fontSize !== null) options.fontSize = parseInteger("font-size", fontSize, FONT_SIZE_RANGE);
+
+  const width = params.get("width");
+  if (width !== null) options.width = parseCanvasSize("width", width);
+
+  const height = params.get("height");
+  if (height !== null) options.height = parseCanvasSize("height", height);
+
+  return options;
+}
+
+export const FRAME_DURATION_RANGE = [20, 10000];
+export const LOOP_RANGE = [1, 1000];
+
+/**
+ * Read timing options for animated output: per-frame duration in ms and the
+ * number of loops ("infinite" by default)
+ */
+export function parseAnimationOptions(params) {
+  const options = {};
+
+  const duration = params.get("duration");
+  if (duration !== null) options.frameDuration = parseInteger("duration", duration, FRAME_DURATION_RANGE);
+
+  const loop = params.get("loop");
+  if (loop !== null) {
+    options.loop = loop === "infinite" ? loop : parseInteger("loop", loop, LOOP_RANGE);
+  }
+
+  return options;
+}
+
+/**
+ * Output mode of the "/" route: a single stepped frame or the whole animation
+ */
+export function parseMode(params) {
+  const mode = params.get("mode") ?? "frame";
+  if (mode !== "frame" && mode !== "animated") {
+    throw new ParamError("mode must be frame or animated");
+  }
+  return mode;
+}
+
+const SIGNED_INT_RE = /^-?\d+$/;
+const SEED_RE = /^[\w-]{1,64}$/;
+
+export const OFFSET_RANGE = [-3650, 3650];
+
+/**
+ * Read which animation and frame to serve.
+ * `anim` must be one of animationIds; `frame` is 1-based and checked against
+ * the frame count by the caller once the animation is loaded.
+ */
+export function parseSelection(params, animationIds) {
+  const selection = {};
+
+  const anim = params.get("anim");
+  if (anim !== null) {
+    if (!animationIds.map(String).includes(anim)) {
+      throw new ParamError(`unknown animation ${anim} (available: ${animationIds.join(", ")})`);
+    }
+    selection.anim = anim;
+  }
+
+  const frame = params.get("frame");
+  if (frame !== null) {
+    if (!INT_RE.test(frame) || Number(frame) < 1) {
+      throw new ParamError("frame must be a positive integer");
+    }
+    selection.frame = Number(frame);
+  }
+
+  const seed = params.get("seed");
+  if (seed !== null) {
+    if (!SEED_RE.test(seed)) {
+      throw new ParamError("seed must be 1-64 letters, digits, _ or -");
+    }
+    selection.seed = seed;
+  }
+
+  const offset = params.get("offset");
+  if (offset !== null) {
+    if (!SIGNED_INT_RE.test(offset)) {
+      throw new ParamError("offset must be an integer number of days");
+    }
+    const n = Number(offset);
+    if (n < OFFSET_RANGE[0] || n > OFFSET_RANGE[1]) {
+      throw new ParamError(`offset must be between ${OFFSET_RANGE[0]} and ${OFFSET_RANGE[1]}`);
+    }
+    selection.offset = n;
+  }
+
+  return selection;
+}
+
+export const FORMATS = ["svg", "png", "gif", "txt"];
+export const ANIMATED_FORMATS = ["svg", "gif"];
+
+// Terminal HTTP clients get the plain-text cat
+const TERMINAL_UA_RE = /^(curl|Wget|HTTPie|xh)\//i;
+
+/**
+ * Output format: ?format wins, then terminal user agents get txt, then the
+ * Accept header picks the first format the client takes (svg by default).
+ * Negotiation only picks from `allowed`; asking for anything else is an error.
+ */
+export function parseFormat(params, headers, allowed = FORMATS) {
+  const format = params.get("format");
+  if (format !== null) {
+    if (!allowed.includes(format)) {
+      throw new ParamError(`format must be one of ${allowed.join(", ")}`);
+    }
+    return format;
+  }
+
+  const wanted = [];
+  if (TERMINAL_UA_RE.test(headers.get("User-Agent") || "")) wanted.push("txt");
+
+  const accept = headers.get("Accept") || "";
+  if (!accept || /image\/svg\+xml|image\/\*|\*\/\*/.test(accept)) wanted.push("svg");
+  if (accept.includes("image/png")) wanted.push("png");
+  if (accept.includes("image/gif")) wanted.push("gif");
+  if (accept.includes("text/plain")) wanted.push("txt");
+
+  return wanted.find((f) => allowed.includes(f)) ?? "svg";
+}
+
+/**
+ * Number of days to report for /stats, 1 up to the retention window
+ */
+export function parseDays(params, maxDays, defaultDays = 7) {
+  const days = params.get("days");
+  if (days === null) return Math.min(defaultDays, maxDays);
+  return parseInteger("days", days, [1, maxDays]);
+}
+
+/**
+ * Read the caption: ?text (control and formatting characters removed,
+ * whitespace collapsed) drawn as ?caption=banner|bubble.
+ * Returns undefined when there is no text.
+ */
+export function parseCaption(params) {
+  const style = params.get("caption") ?? "banner";
+  if (!CAPTION_STYLES.includes(style)) {
+    throw new ParamError(`caption must be one of ${CAPTION_STYLES.join(", ")}`);
+  }
+
+  const raw = params.get("text");
+  if (raw === null) return undefined;
+
+  const text = raw.replace(/[\p{Cc}\p{Cf}]/gu, " ").replace(/\s+/g, " ").trim();
+  const chars = Array.from(text);
+  if (chars.length > MAX_CAPTION_LENGTH) {
+    throw new ParamError(`text must be at most ${MAX_CAPTION_LENGTH} characters`);
+  }
+  // Wide characters such as CJK or emoji would break the bubble's borders
+  // and the canvas size, which count one cell per character
+  const wide = chars.find((ch) => !isMonospaceSafe(ch));
+  if (wide) {
+    throw new ParamError(`text may only use ASCII, Latin-1, box drawing, block and geometric characters, not "${wide}"`);
+  }
+  return text ? { text, style } : undefined;
+}
@@ -0,0 +1,86 @@
+// Minimal PNG encoder for indexed-colour images
+
+const SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c;
+});
+
+function crc32(bytes) {
+  let c = 0xffffffff;
+  for (const b of bytes) {
+    c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function uint32(n) {
+  return [(n >>> 24) & 0xff, (n >>> 16) & 0xff, (n >>> 8) & 0xff, n & 0xff];
+}
+
+function chunk(type, data) {
+  const typed = new Uint8Array(4 + data.length);
+  typed.set(Array.from(type, (c) => c.charCodeAt(0)));
+  typed.set(data, 4);
+
+  const out = new Uint8Array(12 + data.length);
+  out.set(uint32(data.length));
+  out.set(typed, 4);
+  out.set(uint32(crc32(typed)), 8 + data.length);
+  return out;
+}
+
+/**
+ * zlib-wrapped deflate, available in both Workers and Node 18+
+ */
+async function deflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream("deflate"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Encode an indexed image as PNG
+ *
+ * @param {{width: number, height: number, pixels: Uint8Array}} image - palette indexes
+ * @param {number[][]} palette - [r, g, b] per index, at most 256 entries
+ * @returns {Promise<Uint8Array>}
+ */
+export async function encodePng(image, palette) {
+  const { width, height, pixels } = image;
+
+  const header = new Uint8Array([
+    ...uint32(width),
+    ...uint32(height),
+    8, // bit depth
+    3, // colour type: indexed
+    0, // compression
+    0, // filter
+    0, // interlace
+  ]);
+
+  // Every scanline starts with filter type 0 (none)
+  const raw = new Uint8Array((width + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw.set(pixels.subarray(y * width, (y + 1) * width), y * (width + 1) + 1);
+  }
+
+  const parts = [
+    new Uint8Array(SIGNATURE),
+    chunk("IHDR", header),
+    chunk("PLTE", new Uint8Array(palette.flat())),
+    chunk("IDAT", await deflate(raw)),
+    chunk("IEND", new Uint8Array(0)),
+  ];
+
+  const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
@@ -0,0 +1,126 @@
+// Rasterise ASCII frames into indexed-colour images for PNG and GIF output
+import { glyphSampler } from "./font.js";
+import { ParamError } from "./params.js";
+import { TEXT_X, charWidthFor, resolveColors, resolveLayout } from "./render.js";
+
+// Pixels across all frames of one image (width x height x frames). Keeps a
+// large canvas at a large font size from eating the request's CPU budget.
+export const MAX_RASTER_PIXELS = 2_000_000;
+
+const NAMED_COLORS = {
+  white: [255, 255, 255],
+  black: [0, 0, 0],
+};
+
+/**
+ * Parse "#rgb", "#rrggbb", "#rrggbbaa" (alpha ignored) or a named colour
+ */
+export function colorToRgb(color) {
+  if (NAMED_COLORS[color]) return NAMED_COLORS[color];
+
+  let hex = color.replace(/^#/, "");
+  if (hex.length === 3) hex = hex.replace(/./g, "$&$&");
+  return [0, 2, 4].map((i) => parseInt(hex.slice(i, i + 2), 16));
+}
+
+/**
+ * Palette for the requested colours plus every fill used by the frames'
+ * style runs. There is no media query in a bitmap, so theme=auto renders
+ * with the dark theme.
+ *
+ * @returns {{colors: number[][], indexOf: Map<string, number>}}
+ */
+function buildPalette(frames, options) {
+  const { background, foreground } = resolveColors(options);
+  const fills = [background, foreground];
+  for (const frame of frames) {
+    for (const [, , , style] of frame.runs ?? []) {
+      if (style.fill && !fills.includes(style.fill)) fills.push(style.fill);
+    }
+  }
+  return {
+    colors: fills.map(colorToRgb),
+    indexOf: new Map(fills.map((fill, idx) => [fill, idx])),
+  };
+}
+
+// Samplers are only defined inside their cell
+function sampleCell(sample, fx, fy) {
+  return fx >= 0 && fx < 1 && sample(fx, fy);
+}
+
+// Horizontal shear applied to italic runs, as a fraction of the cell width
+const ITALIC_SLANT = 0.25;
+
+/**
+ * Draw a frame onto a fresh canvas. Pixels hold palette indexes:
+ * 0 is the background, 1 the foreground, then the style fills.
+ *
+ * @param {{lines: string[], runs?: Array}} frame
+ * @param {object} layout - resolved layout from resolveLayout()
+ * @param {Map<string, number>} indexOf - palette index per fill
+ * @returns {{width: number, height: number, pixels: Uint8Array}}
+ */
+function rasterizeFrame(frame, layout, indexOf) {
+  const { width, height, lineHeight } = layout;
+  const cellWidth = charWidthFor(layout.fontSize);
+  const pixels = new Uint8Array(width * height);
+
+  // Style per character, from the runs
+  const styles = new Map();
+  for (const [line, start, length, style] of frame.runs ?? []) {
+    for (let col = start; col < start + length; col++) styles.set(`${line}:${col}`, style);
+  }
+
+  frame.lines.forEach((line, row) => {
+    const y0 = row * lineHeight;
+    if (y0 >= height) return;
+
+    Array.from(line).forEach((ch, col) => {
+      const sample = glyphSampler(ch);
+      if (!sample) return;
+
+      const style = styles.get(`${row}:${col}`) ?? {};
+      const color = style.fill ? indexOf.get(style.fill) : 1;
+      const slant = style.italic ? ITALIC_SLANT : 0;
+
+      const x0 = TEXT_X + col * cellWidth;
+      const xStart = Math.round(x0);
+      const xEnd = Math.min(width, Math.round(x0 + cellWidth) + (style.bold ? 1 : 0));
+      const yEnd = Math.min(height, y0 + lineHeight);
+
+      for (let y = y0; y < yEnd; y++) {
+        const fy = (y - y0 + 0.5) / lineHeight;
+        const shift = slant * (fy - 0.5);
+        for (let x = xStart; x < xEnd; x++) {
+          const fx = (x - x0 + 0.5) / cellWidth + shift;
+          // Bold smears the glyph one pixel to the right
+          const hit = sampleCell(sample, fx, fy) || (style.bold && sampleCell(sample, fx - 1 / cellWidth, fy));
+          if (hit) pixels[y * width + x] = color;
+        }
+      }
+    });
+  });
+
+  return { width, height, pixels };
+}
+
+/**
+ * Rasterise every frame onto a shared canvas sized as the SVG would be
+ *
+ * @returns {{images: Array<{width: number, height: number, pixels: Uint8Array}>, palette: number[][]}}
+ */
+export function rasterizeFrames(frames, options = {}) {
+  const layout = resolveLayout(frames.map((f) => f.lines), options);
+  if (layout.width * layout.height * frames.length > MAX_RASTER_PIXELS) {
+    throw new ParamError(
+      `png and gif output is limited to ${MAX_RASTER_PIXELS} pixels (width x height x frames), ` +
+        `this is ${layout.width}x${layout.height}x${frames.length}`
+    );
+  }
+  const { colors, indexOf } = buildPalette(frames, options);
+  return {
+    images: frames.map((frame) => rasterizeFrame(frame, layout, indexOf)),
+    palette: colors,
+  };
+}
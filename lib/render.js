@@ -0,0 +1,251 @@
+// SVG rendering shared by the worker and the build scripts
+
+export const FONT_FAMILY = "Consolas, DejaVu Sans Mono, Courier New, monospace";
+
+export const DEFAULT_WIDTH = 480;
+export const DEFAULT_HEIGHT = 96;
+export const DEFAULT_FONT_SIZE = 14;
+export const DEFAULT_FRAME_DURATION = 200; // ms, for animated output
+
+// Left padding of every line, in px
+export const TEXT_X = 10;
+
+export const THEMES = {
+  dark: { background: "#212830", foreground: "white" },
+  light: { background: "#ffffff", foreground: "#1f2328" },
+};
+
+export function xmlEscape(s) {
+  return s.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+/**
+ * Line height for a font size (16px at the default 14px)
+ */
+export function lineHeightFor(fontSize) {
+  return Math.round((fontSize * 8) / 7);
+}
+
+/**
+ * Approximate advance of one monospace cell, in px
+ */
+export function charWidthFor(fontSize) {
+  return fontSize * 0.6;
+}
+
+/**
+ * Characters that keep a single monospace cell in the fonts we render with:
+ * printable ASCII and Latin-1, box drawing, block elements, geometric shapes
+ */
+export function isMonospaceSafe(ch) {
+  const code = ch.codePointAt(0);
+  return (
+    (code >= 0x20 && code <= 0x7e) ||
+    (code >= 0xa1 && code <= 0xff) ||
+    (code >= 0x2500 && code <= 0x25ff)
+  );
+}
+
+/**
+ * Number of monospace cells a line occupies. Assumes one cell per
+ * character, which holds for isMonospaceSafe() characters.
+ */
+export function lineColumns(line) {
+  return Array.from(line).length;
+}
+
+/**
+ * Smallest canvas that shows every line without clipping
+ */
+export function fitCanvas(lines, fontSize) {
+  const cols = lines.reduce((max, line) => Math.max(max, lineColumns(line)), 0);
+  const lineHeight = lineHeightFor(fontSize);
+  return {
+    width: Math.ceil(TEXT_X * 2 + cols * charWidthFor(fontSize)),
+    height: lines.length * lineHeight + Math.ceil(lineHeight / 4),
+  };
+}
+
+/**
+ * Resolve render options against the art, turning "auto" sizes into numbers.
+ * Takes the lines of every frame that shares the canvas. With `grow` set,
+ * fixed sizes are raised to fit the art (used for captions).
+ */
+export function resolveLayout(frameLines, options = {}) {
+  const fontSize = options.fontSize ?? DEFAULT_FONT_SIZE;
+  const fit = frameLines
+    .map((lines) => fitCanvas(lines, fontSize))
+    .reduce((a, b) => ({ width: Math.max(a.width, b.width), height: Math.max(a.height, b.height) }));
+  const width = options.width ?? DEFAULT_WIDTH;
+  const height = options.height ?? DEFAULT_HEIGHT;
+  return {
+    fontSize,
+    lineHeight: lineHeightFor(fontSize),
+    width: width === "auto" ? fit.width : options.grow ? Math.max(width, fit.width) : width,
+    height: height === "auto" ? fit.height : options.grow ? Math.max(height, fit.height) : height,
+  };
+}
+
+/**
+ * Background and foreground for the requested theme. `darkColors` (from an
+ * animation's manifest) replace the dark theme's colours only; explicit
+ * colours win over the theme in every colour scheme.
+ */
+export function resolveColors(options) {
+  const theme =
+    options.theme === "light"
+      ? THEMES.light
+      : {
+          background: options.darkColors?.background ?? THEMES.dark.background,
+          foreground: options.darkColors?.foreground ?? THEMES.dark.foreground,
+        };
+  return {
+    background: options.background ?? theme.background,
+    foreground: options.foreground ?? theme.foreground,
+  };
+}
+
+/**
+ * CSS switching colours with prefers-color-scheme (theme=auto)
+ */
+function autoThemeCss(options) {
+  const dark = resolveColors({ ...options, theme: "dark" });
+  const light = resolveColors({ ...options, theme: "light" });
+  return (
+    `.bg{fill:${dark.background}}.fg{fill:${dark.foreground}}` +
+    "@media (prefers-color-scheme: light){" +
+    `.bg{fill:${light.background}}.fg{fill:${light.foreground}}` +
+    "}"
+  );
+}
+
+/**
+ * Wrap rendered content in the SVG document shared by every output
+ */
+function svgDocument(layout, options, css, name, body) {
+  const auto = options.theme === "auto";
+  const colors = resolveColors(options);
+  const style = (auto ? autoThemeCss(options) : "") + css;
+
+  return (
+    "<?xml version='1.0' encoding='UTF-8'?>" +
+    `<svg xmlns='http://www.w3.org/2000/svg' width='${layout.width}' height='${layout.height}'>` +
+    (style ? `<style>${style}</style>` : "") +
+    `<rect${auto ? " class='bg'" : ""} width='100%' height='100%' fill='${colors.background}'/>` +
+    `<metadata>${xmlEscape(name)}</metadata>` +
+    body +
+    "</svg>"
+  );
+}
+
+function styleAttributes(style) {
+  return (
+    (style.fill ? ` fill='${style.fill}'` : "") +
+    (style.bold ? " font-weight='bold'" : "") +
+    (style.italic ? " font-style='italic'" : "")
+  );
+}
+
+/**
+ * Escape a line, wrapping styled runs in nested tspans.
+ * Runs are [line, column, length, style] sorted by column.
+ */
+function renderLine(line, runs) {
+  if (!runs || runs.length === 0) return xmlEscape(line);
+
+  const chars = Array.from(line);
+  let out = "";
+  let col = 0;
+  for (const [, start, length, style] of runs) {
+    out += xmlEscape(chars.slice(col, start).join(""));
+    out += `<tspan${styleAttributes(style)}>${xmlEscape(chars.slice(start, start + length).join(""))}</tspan>`;
+    col = start + length;
+  }
+  return out + xmlEscape(chars.slice(col).join(""));
+}
+
+/**
+ * Render a frame's lines as a <text> element of stacked tspans
+ */
+export function renderText(frame, layout, colors, auto) {
+  const runsByLine = new Map();
+  for (const run of frame.runs ?? []) {
+    runsByLine.set(run[0], [...(runsByLine.get(run[0]) ?? []), run]);
+  }
+  const tspans = frame.lines
+    .map(
+      (line, idx) =>
+        `<tspan x='${TEXT_X}' dy='${layout.lineHeight}'>${renderLine(line, runsByLine.get(idx))}</tspan>`
+    )
+    .join("");
+
+  return (
+    `<text${auto ? " class='fg'" : ""} font-family='${FONT_FAMILY}' font-size='${layout.fontSize}' ` +
+    `fill='${colors.foreground}' xml:space='preserve' y='0'>` +
+    tspans +
+    "</text>"
+  );
+}
+
+/**
+ * Render a single frame as a standalone SVG document.
+ * With default options the output matches what the build used to prebake.
+ */
+export function renderFrameSvg(frame, options = {}) {
+  const layout = resolveLayout([frame.lines], options);
+  const text = renderText(frame, layout, resolveColors(options), options.theme === "auto");
+  return svgDocument(layout, options, "", frame.name, text);
+}
+
+function percent(n) {
+  return `${Number(n.toFixed(4))}%`;
+}
+
+/**
+ * Keyframes that show frame i between start and end (fractions of the cycle)
+ */
+function frameKeyframes(i, start, end) {
+  const stops = [`0%{opacity:${start === 0 ? 1 : 0}}`];
+  if (start > 0) stops.push(`${percent(start * 100)}{opacity:1}`);
+  if (end < 1) stops.push(`${percent(end * 100)}{opacity:0}`);
+  stops.push(`100%{opacity:${end < 1 ? 0 : 1}}`);
+  return `@keyframes k${i}{${stops.join("")}}`;
+}
+
+/**
+ * Render every frame into one self-animating SVG.
+ * Frames are stacked groups toggled with CSS keyframes; renderers without
+ * CSS animation support show the first frame.
+ *
+ * @param {Array<{name: string, lines: string[], runs?: Array}>} frames
+ * @param {object} options - render options, as for renderFrameSvg
+ * @param {object} timing - { durations: ms per frame, loop: count or "infinite" }
+ */
+export function renderAnimatedSvg(frames, options = {}, timing = {}) {
+  if (frames.length === 1) return renderFrameSvg(frames[0], options);
+
+  const durations = timing.durations ?? frames.map(() => DEFAULT_FRAME_DURATION);
+  const loop = timing.loop ?? "infinite";
+  const total = durations.reduce((sum, d) => sum + d, 0);
+
+  const layout = resolveLayout(frames.map((f) => f.lines), options);
+  const colors = resolveColors(options);
+  const auto = options.theme === "auto";
+
+  let css = `.f{animation:${total}ms step-end ${loop} forwards}`;
+  let body = "";
+  let elapsed = 0;
+  frames.forEach((frame, i) => {
+    const start = elapsed / total;
+    elapsed += durations[i];
+    const end = i === frames.length - 1 ? 1 : elapsed / total;
+    css += `.f${i}{animation-name:k${i}}` + frameKeyframes(i, start, end);
+    body +=
+      `<g class='f f${i}'${i === 0 ? "" : " opacity='0'"}>` +
+      renderText(frame, layout, colors, auto) +
+      "</g>";
+  });
+
+  const name = frames.map((f) => f.name).join(" ");
+  return svgDocument(layout, options, css, name, body);
+}
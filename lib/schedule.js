@@ -0,0 +1,73 @@
+// Daily animation rotation
+
+export const DAY_MS = 86_400_000;
+
+/**
+ * Days since the Unix epoch (UTC)
+ */
+export function dayNumber(now = Date.now()) {
+  return Math.floor(now / DAY_MS);
+}
+
+/**
+ * 32-bit FNV-1a hash of a string
+ */
+function fnv1a(s) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h;
+}
+
+/**
+ * Small deterministic PRNG (mulberry32), returns floats in [0, 1)
+ */
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Order in which animations rotate. Without a seed this is the id order;
+ * a seed gives a stable shuffle of it.
+ */
+export function rotationOrder(animationIds, seed) {
+  const order = animationIds.map(String);
+  if (seed === undefined) return order;
+
+  const random = mulberry32(fnv1a(seed));
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  return order;
+}
+
+/**
+ * Animation scheduled on a given day
+ */
+export function animationForDay(animationIds, day, { seed, offset = 0 } = {}) {
+  const order = rotationOrder(animationIds, seed);
+  const n = order.length;
+  return order[(((day + offset) % n) + n) % n];
+}
+
+/**
+ * Days from `day` until an animation is next scheduled, 0 if it is on that
+ * day, or null for an unknown id
+ */
+export function daysUntilAnimation(animationIds, animId, day, { seed, offset = 0 } = {}) {
+  const order = rotationOrder(animationIds, seed);
+  const idx = order.indexOf(String(animId));
+  if (idx === -1) return null;
+  const n = order.length;
+  return (((idx - day - offset) % n) + n) % n;
+}
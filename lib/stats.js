@@ -0,0 +1,225 @@
+// Daily view statistics kept as aggregate counters in KV
+//
+// Only counts are stored: one stats:<date> record per day, plus a
+// seen:<date>:<hash> marker per visitor of the stepped route to count
+// uniques. The marker hash mixes in a random salt that changes daily, so a
+// marker cannot be matched to an IP + User-Agent once the salt has expired.
+// Everything expires, so nothing outlives the retention window. Counts are buffered per isolate
+// and flushed at most every FLUSH_INTERVAL_MS to stay clear of KV's
+// one-write-per-second-per-key limit; an evicted isolate loses its buffer,
+// so the numbers are approximate. Every KV write first takes from the
+// caller's write budget (`takeWrite`); over budget, counts stay buffered and
+// uniques go uncounted.
+import { DAY_MS } from "./schedule.js";
+import { xmlEscape } from "./render.js";
+
+const STATS_PREFIX = "stats:";
+const SEEN_PREFIX = "seen:";
+const SALT_PREFIX = "salt:";
+const FLUSH_INTERVAL_MS = 30_000;
+const SEEN_TTL_SECONDS = 2 * 86_400;
+const MAX_SEEN_IN_MEMORY = 10_000;
+
+export const DEFAULT_RETENTION_DAYS = 30;
+export const MAX_RETENTION_DAYS = 365;
+export const STATS_MAX_AGE_SECONDS = 300; // how long /stats responses stay valid
+
+const pending = new Map(); // date -> counters not yet written to KV
+let lastFlush = 0;
+let seenDate = null;
+const seenInMemory = new Set(); // visitor hashes already counted today
+let salt = null; // { date, value } for today's visitor markers
+const statsCache = new Map(); // "<date>:<days>" -> { at, stats } served recently
+const MAX_STATS_CACHED = 64;
+
+/**
+ * UTC date as YYYY-MM-DD
+ */
+export function dateKey(now = Date.now()) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+/**
+ * Retention window from the STATS_RETENTION_DAYS var
+ */
+export function retentionDays(env) {
+  const days = Number(env.STATS_RETENTION_DAYS ?? DEFAULT_RETENTION_DAYS);
+  if (!Number.isInteger(days) || days < 1) return DEFAULT_RETENTION_DAYS;
+  return Math.min(days, MAX_RETENTION_DAYS);
+}
+
+function emptyDay() {
+  return { views: 0, unique: 0, camo: 0, direct: 0, animations: {} };
+}
+
+function mergeDay(into, from) {
+  for (const key of ["views", "unique", "camo", "direct"]) {
+    into[key] += from[key] ?? 0;
+  }
+  for (const [animId, count] of Object.entries(from.animations ?? {})) {
+    into.animations[animId] = (into.animations[animId] ?? 0) + count;
+  }
+  return into;
+}
+
+function toHex(bytes) {
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Random salt for a day's visitor markers, shared through KV so isolates
+ * agree on it and expiring with the markers. Isolates racing on the first
+ * view of a day may each store one; the last write wins and a few visitors
+ * are counted twice. Null when a new salt is needed but over budget.
+ */
+async function dailySalt(env, date, takeWrite) {
+  if (salt?.date === date) return salt.value;
+
+  const key = `${SALT_PREFIX}${date}`;
+  let value = await env.VISITOR_STATE.get(key);
+  if (!value) {
+    if (!takeWrite()) return null;
+    value = toHex(crypto.getRandomValues(new Uint8Array(16)));
+    await env.VISITOR_STATE.put(key, value, { expirationTtl: SEEN_TTL_SECONDS });
+  }
+  salt = { date, value };
+  return value;
+}
+
+/**
+ * Whether a hashed visitor is new today. Checked in memory first, then
+ * against a KV marker, keyed by the salted hash, that expires after two days.
+ */
+async function isNewVisitor(env, date, visitorHash, takeWrite) {
+  if (seenDate !== date || seenInMemory.size >= MAX_SEEN_IN_MEMORY) {
+    seenDate = date;
+    seenInMemory.clear();
+  }
+  if (seenInMemory.has(visitorHash)) return false;
+
+  const daySalt = await dailySalt(env, date, takeWrite);
+  if (daySalt === null) return false;
+
+  const salted = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(`${daySalt}|${visitorHash}`)
+  );
+  const key = `${SEEN_PREFIX}${date}:${toHex(new Uint8Array(salted))}`;
+  if (await env.VISITOR_STATE.get(key)) {
+    seenInMemory.add(visitorHash);
+    return false;
+  }
+  if (!takeWrite()) return false;
+  seenInMemory.add(visitorHash);
+  await env.VISITOR_STATE.put(key, "1", { expirationTtl: SEEN_TTL_SECONDS });
+  return true;
+}
+
+/**
+ * Write buffered counters into the daily KV records. Days that do not fit
+ * the write budget stay buffered for the next flush.
+ */
+export async function flushStats(env, takeWrite = () => true, now = Date.now()) {
+  lastFlush = now;
+
+  const ttl = retentionDays(env) * 86_400;
+  for (const [date, counts] of [...pending.entries()]) {
+    if (!takeWrite()) break;
+    pending.delete(date);
+    const key = `${STATS_PREFIX}${date}`;
+    const stored = (await env.VISITOR_STATE.get(key, "json")) ?? emptyDay();
+    await env.VISITOR_STATE.put(key, JSON.stringify(mergeDay(stored, counts)), {
+      expirationTtl: ttl,
+    });
+  }
+}
+
+/**
+ * Count one served image.
+ *
+ * @param {object} env
+ * @param {object} view - { animId, camo, visitorHash }; visitorHash is the
+ *   hashed IP + User-Agent, given for direct traffic on the stepped route to
+ *   count uniques
+ * @param {() => boolean} [takeWrite] - takes one KV write from the budget,
+ *   false when there is none left
+ */
+export async function recordView(env, { animId, camo, visitorHash }, takeWrite = () => true, now = Date.now()) {
+  const date = dateKey(now);
+  const day = pending.get(date) ?? emptyDay();
+  pending.set(date, day);
+
+  day.views++;
+  day[camo ? "camo" : "direct"]++;
+  day.animations[animId] = (day.animations[animId] ?? 0) + 1;
+
+  // Camo hides individual visitors, so only direct traffic has uniques
+  if (!camo && visitorHash && (await isNewVisitor(env, date, visitorHash, takeWrite))) {
+    day.unique++;
+  }
+
+  if (now - lastFlush >= FLUSH_INTERVAL_MS) {
+    await flushStats(env, takeWrite, now);
+  }
+}
+
+/**
+ * Per-day counters for the last `days` days (newest first) and their totals,
+ * including views this isolate had not flushed yet. Results are reused for
+ * STATS_MAX_AGE_SECONDS, as long as the response says they stay valid.
+ */
+export async function readStats(env, days, now = Date.now()) {
+  const cacheKey = `${dateKey(now)}:${days}`;
+  const cached = statsCache.get(cacheKey);
+  if (cached && now - cached.at < STATS_MAX_AGE_SECONDS * 1000) return cached.stats;
+
+  const dates = Array.from({ length: days }, (_, i) => dateKey(now - i * DAY_MS));
+  const stored = await Promise.all(
+    dates.map((date) => env.VISITOR_STATE.get(`${STATS_PREFIX}${date}`, "json"))
+  );
+  const daily = dates.map((date, i) => ({
+    date,
+    ...mergeDay(mergeDay(emptyDay(), stored[i] ?? emptyDay()), pending.get(date) ?? emptyDay()),
+  }));
+
+  const totals = daily.reduce((sum, day) => mergeDay(sum, day), emptyDay());
+  // Uniques are per day; summing them across days would double count
+  delete totals.unique;
+
+  const stats = { days, retentionDays: retentionDays(env), totals, daily };
+  // Keys from past days never match again, so start over rather than grow
+  if (statsCache.size >= MAX_STATS_CACHED) statsCache.clear();
+  statsCache.set(cacheKey, { at: now, stats });
+  return stats;
+}
+
+/**
+ * Flat two-part badge, e.g. "views | 1.2k"
+ */
+export function renderStatsBadge(label, value) {
+  const charWidth = 7;
+  const pad = 6;
+  const labelWidth = label.length * charWidth + pad * 2;
+  const valueWidth = value.length * charWidth + pad * 2;
+  const width = labelWidth + valueWidth;
+
+  return (
+    "<?xml version='1.0' encoding='UTF-8'?>" +
+    `<svg xmlns='http://www.w3.org/2000/svg' width='${width}' height='20' role='img' aria-label='${xmlEscape(label)}: ${xmlEscape(value)}'>` +
+    `<rect width='${labelWidth}' height='20' fill='#555'/>` +
+    `<rect x='${labelWidth}' width='${valueWidth}' height='20' fill='#212830'/>` +
+    "<g fill='#fff' font-family='Verdana, DejaVu Sans, sans-serif' font-size='11' text-anchor='middle'>" +
+    `<text x='${labelWidth / 2}' y='14'>${xmlEscape(label)}</text>` +
+    `<text x='${labelWidth + valueWidth / 2}' y='14'>${xmlEscape(value)}</text>` +
+    "</g></svg>"
+  );
+}
+
+/**
+ * Short human count: 999, 1.2k, 3.4M
+ */
+export function formatCount(n) {
+  if (n < 1000) return String(n);
+  if (n < 1_000_000) return `${Number((n / 1000).toFixed(1))}k`;
+  return `${Number((n / 1_000_000).toFixed(1))}M`;
+}
@@ -0,0 +1,167 @@
+// Reading animations from ascii/<id>/ for the build and lint scripts
+import fs from "fs/promises";
+import path from "path";
+
+import { splitFrameLines } from "./frame-lines.js";
+import { readManifest, UNSTYLED_MASK_CHARS } from "./manifest.js";
+import { composeScene, SCENE_FILE } from "./scene.js";
+
+export const ASCII_DIR = "ascii";
+
+const FRAME_NAME_RE = /^frame(\d+)\./;
+const FRAME_FILE_RE = /^frame\d+\.txt$/;
+const COLOR_SUFFIX = ".color.txt";
+
+export function frameNumber(name) {
+  const m = name.match(FRAME_NAME_RE);
+  return m ? Number(m[1]) : Number.POSITIVE_INFINITY;
+}
+
+async function readOptionalFile(file) {
+  try {
+    return await fs.readFile(file, "utf-8");
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+/**
+ * Turn a colour mask (same grid as the frame, one palette key per character)
+ * into style runs: [line, column, length, paletteKey]. Columns past the end
+ * of a line of art are ignored.
+ */
+function maskToRuns(mask, lines, palette, file) {
+  const maskLines = mask.split("\n");
+  while (maskLines.length > lines.length && maskLines[maskLines.length - 1].trim() === "") {
+    maskLines.pop();
+  }
+  if (maskLines.length > lines.length) {
+    throw new Error(`${file}: ${maskLines.length} lines but the frame has ${lines.length}`);
+  }
+
+  const runs = [];
+  maskLines.forEach((maskLine, lineIdx) => {
+    const keys = Array.from(maskLine).slice(0, Array.from(lines[lineIdx]).length);
+    let start = 0;
+    for (let col = 1; col <= keys.length; col++) {
+      if (col < keys.length && keys[col] === keys[start]) continue;
+
+      const key = keys[start];
+      if (!UNSTYLED_MASK_CHARS.includes(key)) {
+        if (!palette?.[key]) {
+          throw new Error(`${file}:${lineIdx + 1}:${start + 1}: "${key}" is not in the manifest palette`);
+        }
+        runs.push([lineIdx, start, col - start, key]);
+      }
+      start = col;
+    }
+  });
+  return runs;
+}
+
+/**
+ * Animation ids (folder names under ascii/), sorted numerically
+ */
+export async function listAnimationIds(dir = ASCII_DIR) {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  return entries
+    .filter((e) => e.isDirectory())
+    .map((e) => e.name)
+    .sort((a, b) => Number(a) - Number(b));
+}
+
+/**
+ * Read a scene animation: frames composed from sprites by scene.js, named
+ * frame1..N so the manifest treats them like drawn frames
+ */
+async function readSceneAnimation(animId, animPath) {
+  const scenePath = path.join(animPath, SCENE_FILE);
+  const composed = await composeScene(animPath);
+  const { raw, manifest } = await readManifest(
+    animPath,
+    composed.map((f) => f.name)
+  );
+
+  const frames = composed.map((f, idx) => {
+    const frame = {
+      name: f.name,
+      number: idx + 1,
+      file: `${scenePath}#${f.name}`,
+      content: f.lines.join("\n"),
+      lines: f.lines,
+    };
+    if (f.mask !== null) {
+      frame.runs = maskToRuns(f.mask, frame.lines, manifest.palette, `${frame.file} colours`);
+    }
+    return frame;
+  });
+
+  return {
+    id: animId,
+    path: animPath,
+    manifest,
+    explicitOrder: raw.frames !== undefined,
+    frames,
+  };
+}
+
+/**
+ * Read one animation folder: its manifest and every frameN.txt in numeric
+ * order, with the colour runs from any frameN.color.txt. Folders with a
+ * scene.json are composed from sprites instead.
+ */
+export async function readAnimation(animId, dir = ASCII_DIR) {
+  const animPath = path.join(dir, animId);
+  const files = await fs.readdir(animPath);
+
+  const frameTxtFiles = files
+    .filter((f) => FRAME_FILE_RE.test(f))
+    .sort((a, b) => frameNumber(a) - frameNumber(b));
+
+  if (files.includes(SCENE_FILE)) {
+    if (frameTxtFiles.length > 0) {
+      throw new Error(`${animPath}: has both ${SCENE_FILE} and frame files, keep one`);
+    }
+    return readSceneAnimation(animId, animPath);
+  }
+
+  // Optional manifest.json: metadata, play order, frame timing and palette
+  const { raw, manifest } = await readManifest(
+    animPath,
+    frameTxtFiles.map((f) => path.basename(f, ".txt"))
+  );
+
+  const frames = [];
+  for (const file of frameTxtFiles) {
+    const txtPath = path.join(animPath, file);
+    const base = path.basename(file, ".txt");
+
+    const content = await fs.readFile(txtPath, "utf-8");
+    const frame = {
+      name: base,
+      number: frameNumber(file),
+      file: txtPath,
+      content,
+      lines: splitFrameLines(content),
+    };
+
+    // Optional colour mask, e.g. frame1.color.txt
+    const maskPath = path.join(animPath, base + COLOR_SUFFIX);
+    const mask = await readOptionalFile(maskPath);
+    if (mask !== null) {
+      frame.runs = maskToRuns(mask, frame.lines, manifest.palette, maskPath);
+    }
+
+    frames.push(frame);
+  }
+
+  return {
+    id: animId,
+    path: animPath,
+    manifest,
+    // The manifest lists the play order, so numbering gaps are deliberate
+    explicitOrder: raw.frames !== undefined,
+    frames,
+  };
+}
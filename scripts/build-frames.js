@@ -1,32 +1,27 @@
 #!/usr/bin/env node
 import fs from "fs/promises";
-import path from "path";
 
-const ASCII_DIR = "ascii";
-const OUTPUT_FILE = "gen/frames.js";
-
-const FRAME_NAME_RE = /^frame(\d+)\./;
+import { listAnimationIds, readAnimation } from "./animations.js";
+import { formatIssue, lintAnimation } from "./lint.js";
+import { playableAnimation } from "../lib/animation.js";
+import { renderGalleryHtml } from "../lib/gallery.js";
+import { dayNumber } from "../lib/schedule.js";
 
-function frameNumber(name) {
-  const m = name.match(FRAME_NAME_RE);
-  return m ? Number(m[1]) : Number.POSITIVE_INFINITY;
-}
-
-function xmlEscape(s) {
-  return s.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
-}
+const OUTPUT_FILE = "gen/frames.js";
+const GALLERY_FILE = "dist/gallery.html";
+const GALLERY_BASE_URL = process.env.GALLERY_BASE_URL ?? "https://cat-and-ball.gitpaulo.moe";
 
-async function listSubdirs(dir) {
-  const entries = await fs.readdir(dir, { withFileTypes: true });
-  return entries.filter((e) => e.isDirectory()).map((e) => e.name);
-}
+// --strict turns frame lint warnings into build failures
+const strict = process.argv.includes("--strict");
+// --gallery also writes the gallery page for offline review
+const gallery = process.argv.includes("--gallery");
 
 async function ensureDir(dir) {
   await fs.mkdir(dir, { recursive: true });
 }
 
 /**
- * Generate frames.js module with base64-encoded plain SVG text.
+ * Generate frames.js module with base64-encoded ASCII frames.
  * No compression - Cloudflare Workers will handle that automatically.
  */
 async function generateFramesModule() {
@@ -34,55 +29,47 @@ async function generateFramesModule() {
 
   await ensureDir("gen");
 
-  const animIds = await listSubdirs(ASCII_DIR);
+  const animationIds = await listAnimationIds();
   const framesByAnim = {};
+  const manifestsByAnim = {};
+  const galleryAnimations = [];
   let totalFrames = 0;
+  let issueCount = 0;
 
-  for (const animId of animIds) {
-    const animPath = path.join(ASCII_DIR, animId);
-    const files = await fs.readdir(animPath);
-
-    const frameTxtFiles = files
-      .filter((f) => f.startsWith("frame") && f.endsWith(".txt"))
-      .sort((a, b) => frameNumber(a) - frameNumber(b));
-
-    const frames = [];
-    for (const file of frameTxtFiles) {
-      const txtPath = path.join(animPath, file);
-      const base = path.basename(file, ".txt");
-
-      // Read ASCII art
-      const content = await fs.readFile(txtPath, "utf-8");
-      const lines = content.split("\n").filter((line) => line.length > 0);
-
-      // Build SVG
-      const tspans = lines
-        .map((line, idx) => {
-          const dy = "16";
-          return `<tspan x='10' dy='${dy}'>${xmlEscape(line)}</tspan>`;
-        })
-        .join("");
-
-      const svg =
-        "<?xml version='1.0' encoding='UTF-8'?>" +
-        "<svg xmlns='http://www.w3.org/2000/svg' width='480' height='96'>" +
-        "<rect width='100%' height='100%' fill='#212830'/>" +
-        `<metadata>${xmlEscape(base)}</metadata>` +
-        "<text font-family='Consolas, DejaVu Sans Mono, Courier New, monospace' font-size='14' fill='white' xml:space='preserve' y='0'>" +
-        tspans +
-        "</text></svg>";
-
-      // Base64 encode the plain SVG text
-      frames.push(Buffer.from(svg, "utf-8").toString("base64"));
-    }
+  for (const animId of animationIds) {
+    const animation = await readAnimation(animId);
+    const { manifest } = animation;
+
+    const issues = lintAnimation(animation);
+    for (const issue of issues) console.warn(`warning: ${formatIssue(issue)}`);
+    issueCount += issues.length;
+
+    // Rendering to SVG happens per request in the worker; base64 encode the
+    // plain text lines
+    const frames = animation.frames.map((frame) => {
+      const encoded = {
+        name: frame.name,
+        text: Buffer.from(frame.lines.join("\n"), "utf-8").toString("base64"),
+      };
+      if (frame.runs) encoded.runs = frame.runs;
+      return encoded;
+    });
 
     framesByAnim[animId] = frames;
+    manifestsByAnim[animId] = manifest;
+    if (gallery) galleryAnimations.push(playableAnimation(animId, manifest, animation.frames));
     totalFrames += frames.length;
-    console.log(`Processed animation ${animId}: ${frames.length} frames`);
+    console.log(
+      `Processed animation ${animId}: ${frames.length} frames, ${manifest.sequence.length} steps` +
+        (manifest.title ? ` (${manifest.title})` : "")
+    );
+  }
+
+  if (strict && issueCount > 0) {
+    throw new Error(`${issueCount} frame lint issue${issueCount === 1 ? "" : "s"} (--strict)`);
   }
 
-  // Build deterministic module content sorted by numeric animation id
-  const animationIds = Object.keys(framesByAnim).sort((a, b) => Number(a) - Number(b));
+  // Build deterministic module content, sorted by numeric animation id
 
   const lines = [];
   lines.push("// Auto-generated by scripts/build-frames.js");
@@ -92,12 +79,19 @@ async function generateFramesModule() {
   for (const animId of animationIds) {
     lines.push(`  ${animId}: [`);
     for (const frame of framesByAnim[animId]) {
-      lines.push(`    "${frame}",`);
+      const runs = frame.runs ? `, runs: ${JSON.stringify(frame.runs)}` : "";
+      lines.push(`    { name: "${frame.name}", text: "${frame.text}"${runs} },`);
     }
     lines.push("  ],");
   }
   lines.push("};");
   lines.push("");
+  lines.push("export const MANIFESTS = {");
+  for (const animId of animationIds) {
+    lines.push(`  ${animId}: ${JSON.stringify(manifestsByAnim[animId])},`);
+  }
+  lines.push("};");
+  lines.push("");
   lines.push(`export const ANIMATION_IDS = [${animationIds.join(", ")}];`);
   lines.push("");
 
@@ -108,6 +102,23 @@ async function generateFramesModule() {
 
   console.log(`Generated ${OUTPUT_FILE}`);
   console.log(`Animations: ${animationIds.length}, Total frames: ${totalFrames}, Size: ${sizeKB}KB`);
+
+  if (gallery) await writeGallery(galleryAnimations);
+}
+
+/**
+ * Write the /gallery page as a static file, scheduled from today with the
+ * DAY_OFFSET environment variable if set
+ */
+async function writeGallery(animations) {
+  await ensureDir("dist");
+  const html = renderGalleryHtml(animations, {
+    baseUrl: GALLERY_BASE_URL,
+    day: dayNumber(),
+    dayOffset: Number(process.env.DAY_OFFSET ?? 0),
+  });
+  await fs.writeFile(GALLERY_FILE, html, "utf-8");
+  console.log(`Generated ${GALLERY_FILE}`);
 }
 
 async function main() {
@@ -0,0 +1,13 @@
+// Splitting frame and sprite files into lines, shared by animations.js and scene.js
+
+/**
+ * Split a frame file into lines. Leading and inner blank lines are part of
+ * the art; only the blank lines left by trailing newlines are dropped.
+ */
+export function splitFrameLines(content) {
+  const lines = content.split("\n");
+  while (lines.length > 0 && lines[lines.length - 1].length === 0) {
+    lines.pop();
+  }
+  return lines;
+}
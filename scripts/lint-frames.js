@@ -0,0 +1,26 @@
+#!/usr/bin/env node
+import { ASCII_DIR, listAnimationIds, readAnimation } from "./animations.js";
+import { formatIssue, lintAnimation } from "./lint.js";
+
+const strict = process.argv.includes("--strict");
+// Optional folder of animations to lint instead of ascii/, e.g. examples
+const dir = process.argv.slice(2).find((arg) => !arg.startsWith("--")) ?? ASCII_DIR;
+
+async function main() {
+  try {
+    let count = 0;
+    for (const animId of await listAnimationIds(dir)) {
+      const issues = lintAnimation(await readAnimation(animId, dir));
+      for (const issue of issues) console.warn(formatIssue(issue));
+      count += issues.length;
+    }
+
+    console.log(`\n${count} issue${count === 1 ? "" : "s"} found`);
+    if (strict && count > 0) process.exit(1);
+  } catch (err) {
+    console.error("Lint failed:", err);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,119 @@
+// Checks for ASCII frames, shared by lint-frames and the build
+import {
+  DEFAULT_FONT_SIZE,
+  DEFAULT_HEIGHT,
+  DEFAULT_WIDTH,
+  TEXT_X,
+  charWidthFor,
+  isMonospaceSafe,
+  lineHeightFor,
+} from "../lib/render.js";
+
+function plural(n, word) {
+  return `${n} ${word}${n === 1 ? "" : "s"}`;
+}
+
+function codePointLabel(ch) {
+  return `U+${ch.codePointAt(0).toString(16).toUpperCase().padStart(4, "0")}`;
+}
+
+/**
+ * Columns and rows that fit the canvas at the default font size.
+ * "auto" sizes grow with the art, so they have no limit.
+ */
+function canvasLimits(manifest) {
+  const width = manifest.width ?? DEFAULT_WIDTH;
+  const height = manifest.height ?? DEFAULT_HEIGHT;
+  return {
+    width,
+    height,
+    maxCols: width === "auto" ? Infinity : Math.floor((width - TEXT_X) / charWidthFor(DEFAULT_FONT_SIZE)),
+    maxRows: height === "auto" ? Infinity : Math.floor(height / lineHeightFor(DEFAULT_FONT_SIZE)),
+  };
+}
+
+/**
+ * Lint one animation as returned by readAnimation()
+ *
+ * @returns {Array<{file: string, line?: number, column?: number, message: string}>}
+ */
+export function lintAnimation(animation) {
+  const issues = [];
+  const limits = canvasLimits(animation.manifest);
+
+  for (const frame of animation.frames) {
+    const report = (message, line, column) => issues.push({ file: frame.file, line, column, message });
+
+    if (frame.lines.length === 0) {
+      report("frame is empty");
+      continue;
+    }
+
+    if (frame.lines.length > limits.maxRows) {
+      report(`${plural(frame.lines.length, "line")}, canvas height ${limits.height} fits ${limits.maxRows}`);
+    }
+
+    frame.lines.forEach((line, idx) => {
+      const chars = Array.from(line);
+      const lineNo = idx + 1;
+
+      if (chars.length > limits.maxCols) {
+        report(`${plural(chars.length, "column")}, canvas width ${limits.width} fits ${limits.maxCols}`, lineNo, limits.maxCols + 1);
+      }
+
+      const tab = chars.indexOf("\t");
+      if (tab !== -1) {
+        report("tab character, use spaces", lineNo, tab + 1);
+      }
+
+      if (line.endsWith("\r")) {
+        report("carriage return, use LF line endings", lineNo, chars.length);
+      } else if (/\S\s+$/.test(line)) {
+        report("trailing whitespace", lineNo, line.trimEnd().length + 1);
+      }
+
+      chars.forEach((ch, col) => {
+        if (ch !== "\t" && ch !== "\r" && !isMonospaceSafe(ch)) {
+          report(`${codePointLabel(ch)} may not render one cell wide`, lineNo, col + 1);
+        }
+      });
+    });
+  }
+
+  // Every frame should be the same height or the art jumps between frames
+  const heights = new Set(animation.frames.map((f) => f.lines.length));
+  if (heights.size > 1) {
+    const first = animation.frames[0];
+    for (const frame of animation.frames) {
+      if (frame.lines.length !== first.lines.length) {
+        issues.push({
+          file: frame.file,
+          message: `${plural(frame.lines.length, "line")}, ${first.name} has ${first.lines.length}`,
+        });
+      }
+    }
+  }
+
+  // Numbering gaps are only fine when the manifest spells out the order
+  if (!animation.explicitOrder) {
+    const numbers = animation.frames.map((f) => f.number);
+    for (let n = 1; n < Math.max(...numbers); n++) {
+      if (!numbers.includes(n)) {
+        issues.push({
+          file: animation.path,
+          message: `frame${n}.txt is missing; list "frames" in manifest.json if the gap is intended`,
+        });
+      }
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Format an issue as file:line:column: message
+ */
+export function formatIssue(issue) {
+  const where = [issue.file, issue.line, issue.column].filter((p) => p !== undefined).join(":");
+  return `${where}: ${issue.message}`;
+}
@@ -0,0 +1,196 @@
+// Reading and validating the optional ascii/<id>/manifest.json
+import fs from "fs/promises";
+import path from "path";
+
+import { CANVAS_RANGE, FRAME_DURATION_RANGE } from "../lib/params.js";
+
+export const MANIFEST_FILE = "manifest.json";
+
+const MANIFEST_KEYS = [
+  "title",
+  "author",
+  "frames",
+  "duration",
+  "width",
+  "height",
+  "background",
+  "foreground",
+  "palette",
+];
+const FRAME_ENTRY_KEYS = ["frame", "duration"];
+const STYLE_KEYS = ["fill", "bold", "italic"];
+const HEX_COLOR_RE = /^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+// Raster output keeps background, foreground and fills in a 256-entry palette
+const MAX_PALETTE_SIZE = 254;
+
+// Mask characters that mean "no style"
+export const UNSTYLED_MASK_CHARS = [" ", "."];
+
+function isInteger(value, [min, max]) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+/**
+ * Validate the palette used by colour masks: each key is a single mask
+ * character mapped to a hex fill or to { fill, bold, italic }
+ */
+function normalizePalette(raw) {
+  if (raw === null || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error("palette must be an object of mask characters");
+  }
+
+  if (Object.keys(raw).length > MAX_PALETTE_SIZE) {
+    throw new Error(`palette can hold at most ${MAX_PALETTE_SIZE} entries`);
+  }
+
+  const palette = {};
+  for (const [key, value] of Object.entries(raw)) {
+    const where = `palette["${key}"]`;
+    if (Array.from(key).length !== 1 || UNSTYLED_MASK_CHARS.includes(key)) {
+      throw new Error(`${where}: keys must be single characters other than space and "."`);
+    }
+
+    const style = typeof value === "string" ? { fill: value } : value;
+    if (style === null || typeof style !== "object" || Array.isArray(style)) {
+      throw new Error(`${where}: must be a hex colour or { fill, bold, italic }`);
+    }
+    for (const k of Object.keys(style)) {
+      if (!STYLE_KEYS.includes(k)) {
+        throw new Error(`${where}: unknown key "${k}" (expected ${STYLE_KEYS.join(", ")})`);
+      }
+    }
+    if (style.fill !== undefined && (typeof style.fill !== "string" || !HEX_COLOR_RE.test(style.fill))) {
+      throw new Error(`${where}: fill must be a hex colour like "#e5534b"`);
+    }
+    for (const k of ["bold", "italic"]) {
+      if (style[k] !== undefined && typeof style[k] !== "boolean") {
+        throw new Error(`${where}: ${k} must be true or false`);
+      }
+    }
+
+    palette[key] = {};
+    if (style.fill !== undefined) palette[key].fill = style.fill.toLowerCase();
+    if (style.bold) palette[key].bold = true;
+    if (style.italic) palette[key].italic = true;
+  }
+  return palette;
+}
+
+/**
+ * Validate a manifest against the frame files found in its folder.
+ * Returns the normalized form carried into gen/frames.js:
+ * `sequence` holds indexes into the animation's frame list in play order,
+ * `durations` the matching hold in ms (null where the default applies).
+ *
+ * @param {object} raw - parsed manifest.json
+ * @param {string[]} frameNames - frame file basenames, e.g. ["frame1", ...]
+ * @returns {object} normalized manifest
+ */
+export function normalizeManifest(raw, frameNames) {
+  if (raw === null || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error("manifest must be a JSON object");
+  }
+
+  for (const key of Object.keys(raw)) {
+    if (!MANIFEST_KEYS.includes(key)) {
+      throw new Error(`unknown key "${key}" (expected ${MANIFEST_KEYS.join(", ")})`);
+    }
+  }
+
+  const manifest = {};
+
+  for (const key of ["title", "author"]) {
+    if (raw[key] === undefined) continue;
+    if (typeof raw[key] !== "string" || raw[key].length === 0) {
+      throw new Error(`${key} must be a non-empty string`);
+    }
+    manifest[key] = raw[key];
+  }
+
+  if (raw.duration !== undefined) {
+    if (!isInteger(raw.duration, FRAME_DURATION_RANGE)) {
+      throw new Error(`duration must be an integer between ${FRAME_DURATION_RANGE.join(" and ")} ms`);
+    }
+    manifest.duration = raw.duration;
+  }
+
+  for (const key of ["width", "height"]) {
+    if (raw[key] === undefined) continue;
+    if (raw[key] !== "auto" && !isInteger(raw[key], CANVAS_RANGE)) {
+      throw new Error(`${key} must be "auto" or an integer between ${CANVAS_RANGE.join(" and ")}`);
+    }
+    manifest[key] = raw[key];
+  }
+
+  for (const key of ["background", "foreground"]) {
+    if (raw[key] === undefined) continue;
+    if (typeof raw[key] !== "string" || !HEX_COLOR_RE.test(raw[key])) {
+      throw new Error(`${key} must be a hex colour like "#212830"`);
+    }
+    manifest[key] = raw[key].toLowerCase();
+  }
+
+  if (raw.palette !== undefined) {
+    manifest.palette = normalizePalette(raw.palette);
+  }
+
+  const entries = raw.frames ?? frameNames.map((_, idx) => idx + 1);
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error("frames must be a non-empty array");
+  }
+
+  manifest.sequence = [];
+  manifest.durations = [];
+  entries.forEach((entry, pos) => {
+    const where = `frames[${pos}]`;
+    const { frame, duration } = typeof entry === "object" && entry !== null ? entry : { frame: entry };
+
+    if (typeof entry === "object" && entry !== null) {
+      for (const key of Object.keys(entry)) {
+        if (!FRAME_ENTRY_KEYS.includes(key)) {
+          throw new Error(`${where}: unknown key "${key}" (expected ${FRAME_ENTRY_KEYS.join(", ")})`);
+        }
+      }
+    }
+
+    const idx = raw.frames ? frameNames.indexOf(`frame${frame}`) : frame - 1;
+    if (!Number.isInteger(frame) || idx === -1) {
+      throw new Error(`${where}: no frame${frame}.txt in this animation`);
+    }
+
+    if (duration !== undefined && !isInteger(duration, FRAME_DURATION_RANGE)) {
+      throw new Error(`${where}: duration must be an integer between ${FRAME_DURATION_RANGE.join(" and ")} ms`);
+    }
+
+    manifest.sequence.push(idx);
+    manifest.durations.push(duration ?? null);
+  });
+
+  return manifest;
+}
+
+/**
+ * Read and normalize an animation's manifest.json.
+ * Animations without one play every frame once, in file order.
+ *
+ * @returns {Promise<{raw: object, manifest: object}>}
+ */
+export async function readManifest(animPath, frameNames) {
+  const file = path.join(animPath, MANIFEST_FILE);
+
+  let raw = {};
+  try {
+    raw = JSON.parse(await fs.readFile(file, "utf-8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      throw new Error(`${file}: ${err.message}`);
+    }
+  }
+
+  try {
+    return { raw, manifest: normalizeManifest(raw, frameNames) };
+  } catch (err) {
+    throw new Error(`${file}: ${err.message}`);
+  }
+}
@@ -0,0 +1,214 @@
+// Composing animation frames from sprites and a keyframe track (scene.json)
+import fs from "fs/promises";
+import path from "path";
+
+import { splitFrameLines } from "./frame-lines.js";
+
+export const SCENE_FILE = "scene.json";
+export const SPRITES_DIR = "sprites";
+
+const SCENE_KEYS = ["length", "width", "height", "layers"];
+const LAYER_KEYS = ["name", "keys"];
+const KEY_KEYS = ["frame", "sprite", "x", "y", "hidden"];
+const SPRITE_NAME_RE = /^[\w-]+$/;
+const MAX_LENGTH = 1000;
+const MAX_GRID = 500;
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function checkKeys(obj, allowed, where) {
+  for (const key of Object.keys(obj)) {
+    if (!allowed.includes(key)) {
+      throw new Error(`${where}unknown key "${key}" (expected ${allowed.join(", ")})`);
+    }
+  }
+}
+
+/**
+ * Validate scene.json. Layers draw in order, later ones on top; each key
+ * sets any of sprite, x, y and hidden from its frame on.
+ */
+function validateScene(raw) {
+  if (!isObject(raw)) throw new Error("scene must be a JSON object");
+  checkKeys(raw, SCENE_KEYS, "");
+
+  if (!Number.isInteger(raw.length) || raw.length < 1 || raw.length > MAX_LENGTH) {
+    throw new Error(`length must be an integer between 1 and ${MAX_LENGTH}`);
+  }
+  for (const key of ["width", "height"]) {
+    if (raw[key] !== undefined && (!Number.isInteger(raw[key]) || raw[key] < 1 || raw[key] > MAX_GRID)) {
+      throw new Error(`${key} must be an integer between 1 and ${MAX_GRID}`);
+    }
+  }
+  if (!Array.isArray(raw.layers) || raw.layers.length === 0) {
+    throw new Error("layers must be a non-empty array");
+  }
+
+  raw.layers.forEach((layer, l) => {
+    const where = `layers[${l}]: `;
+    if (!isObject(layer)) throw new Error(`${where}must be an object`);
+    checkKeys(layer, LAYER_KEYS, where);
+    if (!Array.isArray(layer.keys) || layer.keys.length === 0) {
+      throw new Error(`${where}keys must be a non-empty array`);
+    }
+
+    let prevFrame = 0;
+    layer.keys.forEach((key, k) => {
+      const at = `${where}keys[${k}]: `;
+      if (!isObject(key)) throw new Error(`${at}must be an object`);
+      checkKeys(key, KEY_KEYS, at);
+      if (!Number.isInteger(key.frame) || key.frame <= prevFrame || key.frame > raw.length) {
+        throw new Error(`${at}frame must be an integer after the previous key and at most ${raw.length}`);
+      }
+      prevFrame = key.frame;
+      if (key.sprite !== undefined && (typeof key.sprite !== "string" || !SPRITE_NAME_RE.test(key.sprite))) {
+        throw new Error(`${at}sprite must name a file in ${SPRITES_DIR}/ without .txt`);
+      }
+      for (const axis of ["x", "y"]) {
+        if (key[axis] !== undefined && !Number.isInteger(key[axis])) {
+          throw new Error(`${at}${axis} must be an integer`);
+        }
+      }
+      if (key.hidden !== undefined && typeof key.hidden !== "boolean") {
+        throw new Error(`${at}hidden must be true or false`);
+      }
+    });
+
+    if (layer.keys[0].sprite === undefined) {
+      throw new Error(`${where}the first key must set a sprite`);
+    }
+  });
+
+  return raw;
+}
+
+/**
+ * State of a layer at a frame: the last key at or before it sets sprite and
+ * visibility; x and y slide linearly from the last key that set them to the
+ * next key that sets them. Returns null before the first key or while hidden.
+ */
+export function layerStateAt(keys, frame) {
+  let state = null;
+  let lastIdx = -1;
+  const from = {}; // axis -> last key at or before the frame that set it
+  keys.forEach((key, idx) => {
+    if (key.frame > frame) return;
+    state = { sprite: "", x: 0, y: 0, hidden: false, ...state, ...key };
+    lastIdx = idx;
+    for (const axis of ["x", "y"]) {
+      if (key[axis] !== undefined) from[axis] = key;
+    }
+  });
+  if (!state || state.hidden) return null;
+
+  for (const axis of ["x", "y"]) {
+    const start = from[axis];
+    const next = keys.slice(lastIdx + 1).find((key) => key[axis] !== undefined);
+    if (start && next && !next.hidden) {
+      const t = (frame - start.frame) / (next.frame - start.frame);
+      state[axis] = Math.round(start[axis] + (next[axis] - start[axis]) * t);
+    }
+  }
+  return state;
+}
+
+/**
+ * Stamp sprite lines onto a grid of character arrays. Spaces are
+ * transparent; anything outside the grid is clipped.
+ */
+function stamp(grid, spriteLines, x, y) {
+  spriteLines.forEach((line, dy) => {
+    const row = grid[y + dy];
+    if (!row) return;
+    Array.from(line).forEach((ch, dx) => {
+      const col = x + dx;
+      if (ch !== " " && col >= 0 && col < row.length) row[col] = ch;
+    });
+  });
+}
+
+async function readSprite(animPath, name) {
+  const file = path.join(animPath, SPRITES_DIR, `${name}.txt`);
+  let content;
+  try {
+    content = await fs.readFile(file, "utf-8");
+  } catch (err) {
+    if (err.code === "ENOENT") throw new Error(`sprite "${name}" not found at ${file}`);
+    throw err;
+  }
+
+  let mask = null;
+  try {
+    mask = await fs.readFile(path.join(animPath, SPRITES_DIR, `${name}.color.txt`), "utf-8");
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+  }
+
+  return { lines: splitFrameLines(content), mask: mask === null ? null : mask.split("\n") };
+}
+
+/**
+ * Compose the frames of a scene animation. Every frame is the full grid
+ * height, with a colour mask when any sprite has one, ready for the same
+ * handling as a hand-drawn frameN.txt.
+ *
+ * @param {string} animPath - animation folder holding scene.json and sprites/
+ * @returns {Promise<Array<{name: string, lines: string[], mask: string|null}>>}
+ */
+export async function composeScene(animPath) {
+  const file = path.join(animPath, SCENE_FILE);
+
+  let scene;
+  try {
+    scene = validateScene(JSON.parse(await fs.readFile(file, "utf-8")));
+  } catch (err) {
+    throw new Error(`${file}: ${err.message}`);
+  }
+
+  const sprites = {};
+  for (const layer of scene.layers) {
+    for (const key of layer.keys) {
+      if (key.sprite !== undefined && !sprites[key.sprite]) {
+        sprites[key.sprite] = await readSprite(animPath, key.sprite);
+      }
+    }
+  }
+
+  // Place every layer on every frame first, to size the grid when needed
+  const placements = [];
+  for (let frame = 1; frame <= scene.length; frame++) {
+    placements.push(
+      scene.layers
+        .map((layer) => layerStateAt(layer.keys, frame))
+        .filter(Boolean)
+        .map((state) => ({ ...state, art: sprites[state.sprite] }))
+    );
+  }
+
+  const extent = (axis, size) =>
+    Math.max(1, ...placements.flat().map((p) => p[axis] + size(p.art)));
+  const width = scene.width ?? extent("x", (art) => Math.max(0, ...art.lines.map((l) => Array.from(l).length)));
+  const height = scene.height ?? extent("y", (art) => art.lines.length);
+  const hasMask = Object.values(sprites).some((s) => s.mask);
+
+  return placements.map((placed, idx) => {
+    const grid = Array.from({ length: height }, () => Array(width).fill(" "));
+    const maskGrid = Array.from({ length: height }, () => Array(width).fill(" "));
+
+    for (const p of placed) {
+      stamp(grid, p.art.lines, p.x, p.y);
+      // Sprites without a mask clear the colour under their own characters
+      const mask = p.art.mask ?? p.art.lines.map((line) => line.replace(/[^ ]/g, "."));
+      stamp(maskGrid, mask, p.x, p.y);
+    }
+
+    const toLines = (rows) => rows.map((row) => row.join("").trimEnd());
+    return {
+      name: `frame${idx + 1}`,
+      lines: toLines(grid),
+      mask: hasMask ? toLines(maskGrid).join("\n") : null,
+    };
+  });
+}
@@ -1,15 +1,65 @@
-import { FRAMES, ANIMATION_IDS } from "./gen/frames.js";
+import { FRAMES, MANIFESTS, ANIMATION_IDS } from "./gen/frames.js";
+import { renderFrameSvg, renderAnimatedSvg, DEFAULT_FRAME_DURATION } from "./lib/render.js";
+import {
+  ParamError,
+  parseRenderOptions,
+  parseAnimationOptions,
+  parseMode,
+  parseSelection,
+  parseFormat,
+  ANIMATED_FORMATS,
+  parseDays,
+  parseCaption,
+} from "./lib/params.js";
+import { DAY_MS, dayNumber, animationForDay } from "./lib/schedule.js";
+import { rasterizeFrames } from "./lib/raster.js";
+import { encodePng } from "./lib/png.js";
+import { encodeGif } from "./lib/gif.js";
+import {
+  recordView,
+  readStats,
+  retentionDays,
+  renderStatsBadge,
+  formatCount,
+  STATS_MAX_AGE_SECONDS,
+} from "./lib/stats.js";
+import { FixedWindowLimiter, readLimitConfig } from "./lib/limits.js";
+import { applyCaption } from "./lib/caption.js";
+import { renderGalleryHtml } from "./lib/gallery.js";
+import { playableAnimation } from "./lib/animation.js";
 
+const CONTENT_TYPES = {
+  svg: "image/svg+xml; charset=utf-8",
+  png: "image/png",
+  gif: "image/gif",
+  txt: "text/plain; charset=utf-8",
+  html: "text/html; charset=utf-8",
+};
 const BASE_HEADERS = {
-  "Content-Type": "image/svg+xml; charset=utf-8",
   // Trying to avoid github cammo caching
   "Cache-Control": "no-cache, no-store, must-revalidate, max-age=0, s-maxage=0",
   "Pragma": "no-cache",
   "Expires": "Fri, 01 Jan 1980 00:00:00 GMT",
   "X-Content-Type-Options": "nosniff",
 };
+// Animated and fixed-frame output holds no per-view state, so it can be
+// cached until the rotation moves on at midnight UTC
+const STATIC_HEADERS = {
+  "X-Content-Type-Options": "nosniff",
+  // The format may be negotiated from these
+  "Vary": "Accept, User-Agent",
+};
 const TTL_SECONDS = 3600; // 1 hour
-const frameCache = new Map(); // Cache for decoded frames
+const MAX_VISITORS_IN_MEMORY = 10_000;
+const frameCache = new Map(); // Cache for decoded animations
+const visitorState = new Map(); // Recent frame state per visitor in this isolate
+const rasterCache = new Map(); // Encoded PNG/GIF bytes by animation, frame and options
+const MAX_RASTER_CACHE_ENTRIES = 500;
+const MAX_RASTER_CACHE_BYTES = 16 * 1024 * 1024;
+let rasterCacheBytes = 0;
+let limiters = null; // Created from env on first request
+// Everything but /health; the stats routes read up to a KV key per day
+const RATE_LIMITED_PATHS = ["/", "/animated", "/gallery", "/stats", "/stats.svg"];
 
 /**
  * Hash a visitor key (IP + User-Agent) for privacy
@@ -25,13 +75,44 @@ async function hashVisitorKey(ip, ua) {
 }
 
 /**
- * Get the animation ID for today
+ * Detect if request is from GitHub Camo proxy
+ */
+function isGitHubCamo(request) {
+  const ua = request.headers.get("User-Agent") || "";
+  return ua.includes("github-camo") || Boolean(request.headers.get("via")?.includes("github-camo"));
+}
+
+/**
+ * Count a served image in the daily stats without delaying the response.
+ * With `unique` set, direct visitors are identified by the same IP +
+ * User-Agent hash used for frame state, never the raw values. Only the
+ * stepped route does that: the stateless routes just count the view in
+ * memory, so they add no per-view KV reads or writes.
+ */
+function trackView(request, env, ctx, animId, unique) {
+  const camo = isGitHubCamo(request);
+  const record = async () => {
+    const visitorHash = camo || !unique
+      ? undefined
+      : await hashVisitorKey(
+          request.headers.get("CF-Connecting-IP") || "unknown",
+          request.headers.get("User-Agent") || ""
+        );
+    await recordView(env, { animId, camo, visitorHash }, () => takeKvWrite(env));
+  };
+  ctx.waitUntil(record().catch((error) => console.error("Error recording view:", error)));
+}
+
+/**
+ * Get the animation ID for today, unless the request pins one with ?anim.
+ * ?offset shifts the rotation by whole days on top of the DAY_OFFSET var,
+ * ?seed shuffles the rotation order.
  */
-function getAnimationForToday() {
-  const dayOffset = 0; // Can be made configurable via env vars
-  const days = Math.floor(Date.now() / 86_400_000) + dayOffset;
-  const selected = ANIMATION_IDS[days % ANIMATION_IDS.length];
-  return String(selected);
+function getAnimationForToday(env, selection) {
+  if (selection.anim !== undefined) return selection.anim;
+
+  const dayOffset = Number(env.DAY_OFFSET ?? 0) + (selection.offset ?? 0);
+  return animationForDay(ANIMATION_IDS, dayNumber(), { seed: selection.seed, offset: dayOffset });
 }
 
 /**
@@ -48,50 +129,420 @@ function base64ToUtf8(b64) {
 }
 
 /**
- * Load frames for the current animation
+ * Load an animation: its frames in play order (per its manifest), the hold
+ * of each step in ms (null where the default applies) and the manifest
  */
-function loadFrames() {
-  const animId = getAnimationForToday();
-
+function loadAnimation(animId) {
   // Check cache first
   if (frameCache.has(animId)) {
     return frameCache.get(animId);
   }
 
   const frameData = FRAMES[animId];
-  if (!frameData || frameData.length === 0) {
+  const manifest = MANIFESTS[animId];
+  if (!frameData || frameData.length === 0 || !manifest) {
     throw new Error(`No frames found for animation ${animId}`);
   }
 
-  // Decode base64-encoded UTF-8 frames
-  const frames = frameData.map(base64ToUtf8);
-  frameCache.set(animId, frames);
+  // Decode base64-encoded UTF-8 frames into their ASCII lines
+  const decoded = frameData.map((frame) => ({
+    name: frame.name,
+    lines: base64ToUtf8(frame.text).split("\n"),
+    runs: frame.runs,
+  }));
+
+  const animation = {
+    ...playableAnimation(animId, manifest, decoded),
+    steps: buildStepSchedule(manifest),
+  };
+  frameCache.set(animId, animation);
+
+  return animation;
+}
+
+/**
+ * Frame index per view for the stepped route. Each view advances one tick of
+ * the default hold, so a frame held for twice as long is shown for two views.
+ */
+function buildStepSchedule(manifest) {
+  const tick = manifest.duration ?? DEFAULT_FRAME_DURATION;
+  return manifest.durations.flatMap((duration, idx) => {
+    const ticks = Math.max(1, Math.round((duration ?? tick) / tick));
+    return Array(ticks).fill(idx);
+  });
+}
+
+/**
+ * Hold of every frame in ms; `frameDuration` (from ?duration) replaces the
+ * manifest default but not holds set on individual frames
+ */
+function frameDurations(animation, frameDuration) {
+  const fallback = frameDuration ?? animation.manifest.duration ?? DEFAULT_FRAME_DURATION;
+  return animation.durations.map((duration) => duration ?? fallback);
+}
+
+/**
+ * Canvas size and colours from the manifest, overridden by the query.
+ * Manifest colours stand in for the dark theme, so ?theme=light still
+ * applies; only ?bg and ?fg override every theme.
+ * A captioned animation grows the canvas to fit the caption.
+ */
+function withManifestDefaults(animation, renderOptions) {
+  const { width, height, background, foreground } = animation.manifest;
+  const defaults = { width, height };
+  for (const key of Object.keys(defaults)) {
+    if (defaults[key] === undefined) delete defaults[key];
+  }
+  return {
+    ...defaults,
+    darkColors: { background, foreground },
+    ...renderOptions,
+    grow: animation.captioned,
+  };
+}
+
+/**
+ * Copy of the animation with the ?text caption drawn into every frame
+ */
+function withCaption(animation, caption) {
+  if (!caption) return animation;
+  return {
+    ...animation,
+    frames: applyCaption(animation.frames, caption),
+    captioned: true,
+    cacheKey: `${animation.id}:${caption.style}:${caption.text}`,
+  };
+}
+
+/**
+ * Rate limiters and their settings, built from the worker vars once
+ */
+function getLimiters(env) {
+  if (!limiters) {
+    const config = readLimitConfig(env);
+    limiters = {
+      config,
+      perVisitor: new FixedWindowLimiter(config.RATE_LIMIT_PER_VISITOR),
+      perCamoIp: new FixedWindowLimiter(config.RATE_LIMIT_CAMO),
+      kvWrites: new FixedWindowLimiter(config.RATE_LIMIT_GLOBAL),
+    };
+  }
+  return limiters;
+}
+
+/**
+ * Take one KV write from the global budget shared by frame state and stats;
+ * false when the budget for this minute is spent
+ */
+function takeKvWrite(env, now = Date.now()) {
+  const { config, kvWrites } = getLimiters(env);
+  return config.RATE_LIMIT_GLOBAL === 0 || kvWrites.take("", now);
+}
+
+/**
+ * Length of the query in decoded characters, so a caption in é or 猫 counts
+ * the same as one in ASCII rather than by its percent-encoded bytes
+ */
+function decodedQueryLength(url) {
+  let length = 0;
+  for (const [name, value] of url.searchParams) {
+    length += Array.from(name).length + Array.from(value).length + 2; // "=" and "&"
+  }
+  return Math.max(0, length - 1);
+}
+
+/**
+ * Reject oversized query strings and clients over their request rate.
+ * Clients are keyed by hashed IP + User-Agent without the query, so varying
+ * the query does not reset the limit. Anyone can claim to be Camo in a
+ * header, so Camo requests are not exempt: they are keyed by IP alone with
+ * the larger RATE_LIMIT_CAMO allowance, since Camo relays every GitHub viewer
+ * from a few addresses.
+ * Returns a response to send, or null to carry on.
+ */
+async function checkRateLimit(request, env, url) {
+  const { config, perVisitor, perCamoIp } = getLimiters(env);
+
+  if (config.MAX_QUERY_LENGTH > 0 && decodedQueryLength(url) > config.MAX_QUERY_LENGTH) {
+    return new Response("query-too-long", {
+      status: 414,
+      headers: { "Content-Type": "text/plain" },
+    });
+  }
+
+  const ip = request.headers.get("CF-Connecting-IP") || "unknown";
+  let limiter;
+  let key;
+  if (isGitHubCamo(request)) {
+    if (config.RATE_LIMIT_CAMO === 0) return null;
+    limiter = perCamoIp;
+    key = ip;
+  } else {
+    if (config.RATE_LIMIT_PER_VISITOR === 0) return null;
+    limiter = perVisitor;
+    key = await hashVisitorKey(ip, request.headers.get("User-Agent") || "");
+  }
+  if (limiter.take(key)) return null;
 
-  return frames;
+  return new Response("rate-limited", {
+    status: 429,
+    headers: {
+      "Content-Type": "text/plain",
+      "Retry-After": String(limiter.retryAfter()),
+    },
+  });
 }
 
 /**
- * Get the next frame index for a visitor
+ * Get the next frame index for a visitor.
+ * State seen recently by this isolate is used without a KV read, and writes
+ * for the same visitor within WRITE_COALESCE_MS are coalesced: the state
+ * advances in memory and reaches KV with the next write.
+ * Returns null when KV writes are over budget, so the caller can fall back
+ * to the clock.
  */
 async function getNextFrameIndex(env, visitorHash, frameCount) {
   if (frameCount <= 0) return 0;
 
-  // Try to get current state from KV
-  const stored = await env.VISITOR_STATE.get(visitorHash, "json");
-  const currentIdx = stored?.idx ?? 0;
+  const { config } = getLimiters(env);
+  const now = Date.now();
+
+  let cached = visitorState.get(visitorHash);
+  if (cached && now - cached.at > TTL_SECONDS * 1000) cached = undefined;
+
+  const due = !cached || now - cached.writtenAt >= config.WRITE_COALESCE_MS;
+  if (due && !takeKvWrite(env, now)) {
+    return null;
+  }
+
+  // Try to get current state from memory, then KV
+  const stored = cached ?? (await env.VISITOR_STATE.get(visitorHash, "json"));
+  const currentIdx = (stored?.idx ?? 0) % frameCount;
   const nextIdx = (currentIdx + 1) % frameCount;
 
-  // Store the new state with TTL (fire and forget with waitUntil for performance)
-  await env.VISITOR_STATE.put(
-    visitorHash,
-    JSON.stringify({ idx: nextIdx, at: Date.now() }),
-    { expirationTtl: TTL_SECONDS }
-  );
+  if (visitorState.size >= MAX_VISITORS_IN_MEMORY) visitorState.clear();
+  visitorState.set(visitorHash, { idx: nextIdx, at: now, writtenAt: due ? now : cached.writtenAt });
+
+  // Store the new state with TTL
+  if (due) {
+    await env.VISITOR_STATE.put(
+      visitorHash,
+      JSON.stringify({ idx: nextIdx, at: now }),
+      { expirationTtl: TTL_SECONDS }
+    );
+  }
 
   // Return current index (the frame to show now)
   return currentIdx;
 }
 
+/**
+ * Degraded stepping when KV is unavailable or over budget: the step comes
+ * from the clock, advancing once per default frame hold
+ */
+function clockStepIndex(animation) {
+  const tick = animation.manifest.duration ?? DEFAULT_FRAME_DURATION;
+  return Math.floor(Date.now() / tick) % animation.steps.length;
+}
+
+/**
+ * Seconds left until the daily animation rotates
+ */
+function secondsUntilNextDay() {
+  return Math.max(60, Math.ceil((DAY_MS - (Date.now() % DAY_MS)) / 1000));
+}
+
+/**
+ * Cache-Control for output that does not depend on per-visitor state.
+ * A pinned animation never changes; otherwise it lasts until the rotation.
+ */
+function stableCacheControl(selection) {
+  const maxAge = selection.anim !== undefined ? DAY_MS / 1000 : secondsUntilNextDay();
+  return `public, max-age=${maxAge}, s-maxage=${maxAge}`;
+}
+
+/**
+ * Encoded PNG/GIF bytes, memoized per isolate. The output depends only on
+ * the animation (and caption), the frame and the parsed options, and
+ * rasterising is by far the most expensive thing the worker does.
+ * Each caller gets its own copy, so a response can never detach the cache.
+ */
+async function cachedRaster(key, encode) {
+  let bytes = rasterCache.get(key);
+  if (!bytes) {
+    bytes = await encode();
+    if (rasterCache.size >= MAX_RASTER_CACHE_ENTRIES || rasterCacheBytes + bytes.length > MAX_RASTER_CACHE_BYTES) {
+      rasterCache.clear();
+      rasterCacheBytes = 0;
+    }
+    rasterCache.set(key, bytes);
+    rasterCacheBytes += bytes.length;
+  }
+  return bytes.slice();
+}
+
+/**
+ * Cache key for raster output of an animation, including its caption
+ */
+function rasterKey(animation, format, what, options) {
+  return [animation.cacheKey ?? animation.id, format, what, JSON.stringify(options)].join("|");
+}
+
+/**
+ * Render one frame (index into the animation's frames) in the requested
+ * format. A GIF of a single frame is a still image.
+ */
+async function renderFrame(format, animation, frameIdx, options) {
+  const frame = animation.frames[frameIdx];
+  switch (format) {
+    case "png":
+      return cachedRaster(rasterKey(animation, format, frameIdx, options), () => {
+        const { images, palette } = rasterizeFrames([frame], options);
+        return encodePng(images[0], palette);
+      });
+    case "gif":
+      return cachedRaster(rasterKey(animation, format, frameIdx, options), () => {
+        const { images, palette } = rasterizeFrames([frame], options);
+        return encodeGif(images, palette, { durations: [DEFAULT_FRAME_DURATION], loop: 1 });
+      });
+    case "txt":
+      return frame.lines.join("\n") + "\n";
+    default:
+      return renderFrameSvg(frame, options);
+  }
+}
+
+/**
+ * Render every frame of an animation into one animated image
+ */
+async function renderAnimation(format, animation, options, timing) {
+  switch (format) {
+    case "svg":
+      return renderAnimatedSvg(animation.frames, options, timing);
+    case "gif":
+      return cachedRaster(rasterKey(animation, format, JSON.stringify(timing), options), () => {
+        const { images, palette } = rasterizeFrames(animation.frames, options);
+        return encodeGif(images, palette, timing);
+      });
+    default:
+      throw new Error(`Unsupported animated format ${format}`);
+  }
+}
+
+/**
+ * Serve the selected animation as a single self-animating SVG or GIF.
+ * No per-visitor state, so no per-view KV reads or writes; the view is only
+ * added to the buffered stats.
+ */
+async function serveAnimated(url, env, format, track) {
+  const selection = parseSelection(url.searchParams, ANIMATION_IDS);
+  const renderOptions = parseRenderOptions(url.searchParams);
+  const { frameDuration, loop } = parseAnimationOptions(url.searchParams);
+
+  const caption = parseCaption(url.searchParams);
+
+  const animation = withCaption(loadAnimation(getAnimationForToday(env, selection)), caption);
+  const body = await renderAnimation(format, animation, withManifestDefaults(animation, renderOptions), {
+    durations: frameDurations(animation, frameDuration),
+    loop,
+  });
+  track(animation.id);
+
+  return new Response(body, {
+    status: 200,
+    headers: {
+      ...STATIC_HEADERS,
+      "Content-Type": CONTENT_TYPES[format],
+      "Cache-Control": stableCacheControl(selection),
+    },
+  });
+}
+
+/**
+ * Serve one fixed frame (?frame=n, 1-based). Also stateless and cacheable.
+ */
+async function serveFixedFrame(animation, selection, renderOptions, format, track) {
+  const { frames } = animation;
+  if (selection.frame > frames.length) {
+    throw new ParamError(`frame must be between 1 and ${frames.length}`);
+  }
+
+  const body = await renderFrame(format, animation, selection.frame - 1, withManifestDefaults(animation, renderOptions));
+  track(animation.id);
+  return new Response(body, {
+    status: 200,
+    headers: {
+      ...STATIC_HEADERS,
+      "Content-Type": CONTENT_TYPES[format],
+      "Cache-Control": stableCacheControl(selection),
+    },
+  });
+}
+
+/**
+ * Serve view statistics as JSON (/stats) or as a badge (/stats.svg).
+ * ?days picks how many days back to report.
+ */
+async function serveStats(url, env) {
+  const days = parseDays(url.searchParams, retentionDays(env));
+  const stats = await readStats(env, days);
+  const headers = {
+    "Cache-Control": `public, max-age=${STATS_MAX_AGE_SECONDS}`,
+    "X-Content-Type-Options": "nosniff",
+  };
+
+  if (url.pathname === "/stats.svg") {
+    return new Response(renderStatsBadge("views", formatCount(stats.totals.views)), {
+      status: 200,
+      headers: { ...headers, "Content-Type": CONTENT_TYPES.svg },
+    });
+  }
+
+  return new Response(JSON.stringify(stats, null, 2), {
+    status: 200,
+    headers: { ...headers, "Content-Type": "application/json; charset=utf-8" },
+  });
+}
+
+/**
+ * Serve the gallery page of every animation. It only changes when the
+ * rotation moves on, so it is cached until midnight UTC.
+ */
+function serveGallery(url, env) {
+  const animations = ANIMATION_IDS.map((id) => loadAnimation(String(id)));
+  const body = renderGalleryHtml(animations, {
+    baseUrl: url.origin,
+    day: dayNumber(),
+    dayOffset: Number(env.DAY_OFFSET ?? 0),
+  });
+
+  return new Response(body, {
+    status: 200,
+    headers: {
+      "Content-Type": CONTENT_TYPES.html,
+      "Cache-Control": `public, max-age=${secondsUntilNextDay()}`,
+      "X-Content-Type-Options": "nosniff",
+    },
+  });
+}
+
+/**
+ * Map a thrown error to a plain-text response
+ */
+function errorResponse(error) {
+  if (error instanceof ParamError) {
+    return new Response(error.message, {
+      status: 400,
+      headers: { "Content-Type": "text/plain" },
+    });
+  }
+  console.error("Error serving frame:", error);
+  return new Response("frames-unavailable", {
+    status: 503,
+    headers: { "Content-Type": "text/plain" },
+  });
+}
+
 export default {
   async fetch(request, env, ctx) {
     const url = new URL(request.url);
@@ -103,18 +554,71 @@ export default {
       });
     }
 
+    if (RATE_LIMITED_PATHS.includes(url.pathname)) {
+      const limited = await checkRateLimit(request, env, url);
+      if (limited) return limited;
+    }
+
+    if (url.pathname === "/stats" || url.pathname === "/stats.svg") {
+      try {
+        return await serveStats(url, env);
+      } catch (error) {
+        return errorResponse(error);
+      }
+    }
+
+    if (url.pathname === "/gallery") {
+      try {
+        return serveGallery(url, env);
+      } catch (error) {
+        return errorResponse(error);
+      }
+    }
+
+    const track = (animId, { unique = false } = {}) => trackView(request, env, ctx, animId, unique);
+
+    if (url.pathname === "/animated") {
+      try {
+        const format = parseFormat(url.searchParams, request.headers, ANIMATED_FORMATS);
+        return await serveAnimated(url, env, format, track);
+      } catch (error) {
+        return errorResponse(error);
+      }
+    }
+
     if (url.pathname === "/") {
       try {
+        const mode = parseMode(url.searchParams);
+        const format = parseFormat(
+          url.searchParams,
+          request.headers,
+          mode === "animated" ? ANIMATED_FORMATS : undefined
+        );
+
+        // Validate selection, theme and layout before touching KV
+        const selection = parseSelection(url.searchParams, ANIMATION_IDS);
+
+        // A GIF carries the whole animation itself, like mode=animated
+        if (mode === "animated" || (format === "gif" && selection.frame === undefined)) {
+          return await serveAnimated(url, env, format, track);
+        }
+
+        const renderOptions = parseRenderOptions(url.searchParams);
+        const caption = parseCaption(url.searchParams);
+
+        // Load frames for the selected animation
+        const animation = withCaption(loadAnimation(getAnimationForToday(env, selection)), caption);
+
+        if (selection.frame !== undefined) {
+          return await serveFixedFrame(animation, selection, renderOptions, format, track);
+        }
+
         // Get visitor info
         const ip = request.headers.get("CF-Connecting-IP") || "unknown";
         const ua = request.headers.get("User-Agent") || "";
 
-        // Detect if request is from GitHub Camo proxy
-        const isGitHubCamo = ua.includes("github-camo") ||
-          request.headers.get("via")?.includes("github-camo");
-
         let visitorHash;
-        if (isGitHubCamo) {
+        if (isGitHubCamo(request)) {
           // For GitHub Camo: use a global key since we can't distinguish individual visitors
           // Camo rotates IPs and strips user info, so all requests look identical
           visitorHash = "github-camo-global";
@@ -124,33 +628,42 @@ export default {
           visitorHash = await hashVisitorKey(ip + queryString, ua);
         }
 
-        // Load frames for today's animation
-        const frames = loadFrames();
-
-        // Get the frame index for this visitor
-        const frameIdx = await getNextFrameIndex(env, visitorHash, frames.length);
+        // Get the frame index for this visitor, stepping through frame holds.
+        // Without KV, serve the frame the clock points at rather than failing.
+        let stepIdx = null;
+        try {
+          stepIdx = await getNextFrameIndex(env, visitorHash, animation.steps.length);
+        } catch (error) {
+          console.error("Frame state unavailable, stepping by clock:", error);
+        }
+        const degraded = stepIdx === null;
+        const frameIdx = animation.steps[degraded ? clockStepIndex(animation) : stepIdx];
 
-        // Serve frame (Response automatically encodes string as UTF-8)
-        const frame = frames[frameIdx];
+        // Render frame (Response automatically encodes strings as UTF-8)
+        const frame = await renderFrame(
+          format,
+          animation,
+          frameIdx,
+          withManifestDefaults(animation, renderOptions)
+        );
+        track(animation.id, { unique: true });
         const timestamp = Date.now();
         return new Response(frame, {
           status: 200,
           headers: {
             ...BASE_HEADERS,
+            "Content-Type": CONTENT_TYPES[format],
             // Unique ETag per frame + timestamp to prevent any caching
             "ETag": `"${frameIdx}-${timestamp}"`,
             // Always set to current time so Camo sees it as "fresh"
             "Last-Modified": new Date().toUTCString(),
             // Additional cache busting
-            "Vary": "Accept-Encoding, User-Agent",
+            "Vary": "Accept, Accept-Encoding, User-Agent",
+            ...(degraded ? { "X-Frame-Source": "clock" } : {}),
           },
         });
       } catch (error) {
-        console.error("Error serving frame:", error);
-        return new Response("frames-unavailable", {
-          status: 503,
-          headers: { "Content-Type": "text/plain" },
-        });
+        return errorResponse(error);
       }
     }
 